@@ -1,22 +1,70 @@
 // Pixel Player - Color to Sound Application
 
-const CANVAS_SIZE = 512;
+const CANVAS_SIZE = 512;  // Longest side of the canvas; the other side follows the grid's aspect ratio
+const MAX_GRID_SIDE = 256;
 
-// Get current grid size from resolution selector
-function getGridSize() {
-    return parseInt(resolutionSelect.value) || 128;
-}
+// Grid size in cells, set from the resolution controls by updateGridSize()
+let gridWidth = 128;
+let gridHeight = 128;
+let gridRotation = '0';  // Image rotation the grid's shape was last worked out for
 
+// Cells are square, so the longer side of the grid spans the canvas
 function getPixelSize() {
-    return CANVAS_SIZE / getGridSize();
+    return CANVAS_SIZE / Math.max(gridWidth, gridHeight);
+}
+
+function isInsideGrid(x, y) {
+    return x >= 0 && x < gridWidth && y >= 0 && y < gridHeight;
+}
+
+// Read the resolution controls and size the canvas to match. Resolutions are 'WxH' (a plain number
+// is square), 'image:N' for N cells along the image's longer side, or 'custom' for the width and
+// height inputs. Returns whether the grid size changed.
+function updateGridSize() {
+    const value = resolutionSelect.value;
+    let width;
+    let height;
+
+    if (value === 'custom') {
+        width = parseInt(gridWidthInput.value);
+        height = parseInt(gridHeightInput.value);
+    } else if (value.startsWith('image:')) {
+        const longSide = parseInt(value.slice('image:'.length));
+        const aspect = originalImage ? getFramedAspect(originalImage) : 1;
+        gridRotation = rotationSelect.value;
+        width = aspect >= 1 ? longSide : Math.round(longSide * aspect);
+        height = aspect >= 1 ? Math.round(longSide / aspect) : longSide;
+    } else {
+        [width, height = width] = value.split('x').map(side => parseInt(side));
+    }
+    customResolutionGroup.hidden = value !== 'custom';
+
+    const clampSide = side => Math.max(1, Math.min(MAX_GRID_SIDE, side || 128));
+    const changed = clampSide(width) !== gridWidth || clampSide(height) !== gridHeight;
+    gridWidth = clampSide(width);
+    gridHeight = clampSide(height);
+
+    const canvasWidth = Math.round(gridWidth * getPixelSize());
+    const canvasHeight = Math.round(gridHeight * getPixelSize());
+    if (canvas.width !== canvasWidth || canvas.height !== canvasHeight) {
+        canvas.width = canvasWidth;
+        canvas.height = canvasHeight;
+    }
+    return changed;
 }
 
 // State
 let pixelData = null;
 let originalImage = null;  // Store original image for resampling
+let imageSource = null;  // URL the image was loaded from, for sessions (null for files and webcam)
 let audioContext = null;
-let soundfontSamples = {};
+let instruments = [];  // Loaded instruments: { id, name, url, zones, color, envelope, sf2, presetIndex } (see getInstrument)
+let nextInstrumentId = 0;
+let selectedInstrumentId = null;  // Instrument the Load button and preset picker act on
 let isLoading = false;
+let currentLoad = null;  // { cancelled, controller } of the SoundFont being loaded, for Cancel
+let libraryDb = null;  // Promise of the instrument library database (see openLibrary)
+const DECODE_CONCURRENCY = 6;  // Notes decoded at once while loading a MIDI.js soundfont
 let isDragging = false;
 let lastPlayedPixel = { x: -1, y: -1 };
 let activeNotes = new Map();
@@ -26,18 +74,155 @@ const canvas = document.getElementById('pixelGrid');
 const ctx = canvas.getContext('2d');
 const imageUrlInput = document.getElementById('imageUrl');
 const loadUrlBtn = document.getElementById('loadUrl');
+const imageFileInput = document.getElementById('imageFile');
+const soundfontFileInput = document.getElementById('soundfontFile');
 const soundfontUrlInput = document.getElementById('soundfontUrl');
 const loadSoundfontBtn = document.getElementById('loadSoundfont');
+const addSoundfontBtn = document.getElementById('addSoundfont');
+const instrumentListEl = document.getElementById('instrumentList');
+const libraryGroup = document.getElementById('libraryGroup');
+const librarySelect = document.getElementById('librarySelect');
+const loadFromLibraryBtn = document.getElementById('loadFromLibrary');
+const deleteFromLibraryBtn = document.getElementById('deleteFromLibrary');
+const loadProgressGroup = document.getElementById('loadProgressGroup');
+const loadProgressBar = document.getElementById('loadProgressBar');
+const loadProgressText = document.getElementById('loadProgressText');
+const cancelLoadBtn = document.getElementById('cancelLoad');
+const failedNotesEl = document.getElementById('failedNotes');
+const presetGroup = document.getElementById('presetGroup');
+const presetSelect = document.getElementById('presetSelect');
 const captureWebcamBtn = document.getElementById('captureWebcam');
+const startLiveCameraBtn = document.getElementById('startLiveCamera');
+const liveVideoFileInput = document.getElementById('liveVideoFile');
+const liveFrameRateSelect = document.getElementById('liveFrameRate');
+const freezeLiveBtn = document.getElementById('freezeLive');
+const stopLiveBtn = document.getElementById('stopLive');
+const motionToggle = document.getElementById('motionToggle');
+const motionThresholdInput = document.getElementById('motionThreshold');
+const fitModeSelect = document.getElementById('fitModeSelect');
+const rotationSelect = document.getElementById('rotationSelect');
+const cropZoomInput = document.getElementById('cropZoom');
+const cropXInput = document.getElementById('cropX');
+const cropYInput = document.getElementById('cropY');
+const brightnessInput = document.getElementById('brightness');
+const contrastInput = document.getElementById('contrast');
+const saturationInput = document.getElementById('saturation');
+const blurInput = document.getElementById('blur');
+const edgesToggle = document.getElementById('edgesToggle');
+const posterizeInput = document.getElementById('posterize');
+const paletteSelect = document.getElementById('paletteSelect');
+const paletteColorsInput = document.getElementById('paletteColors');
+const resetPreprocessingBtn = document.getElementById('resetPreprocessing');
 const scaleSelect = document.getElementById('scaleSelect');
+const rootSelect = document.getElementById('rootSelect');
+const customScaleGroup = document.getElementById('customScaleGroup');
+const sclFileInput = document.getElementById('sclFile');
+const kbmFileInput = document.getElementById('kbmFile');
+const resetTuningBtn = document.getElementById('resetTuning');
+const tuningNameEl = document.getElementById('tuningName');
+const colorSpaceSelect = document.getElementById('colorSpaceSelect');
+const mappingTableEl = document.getElementById('mappingTable');
+const mappingInfoEl = document.getElementById('mappingInfo');
 const playModeSelect = document.getElementById('playModeSelect');
+const drawToolSelect = document.getElementById('drawToolSelect');
+const scanGroup = document.getElementById('scanGroup');
+const scanDirectionSelect = document.getElementById('scanDirectionSelect');
+const scanThresholdInput = document.getElementById('scanThreshold');
+const scanMaxVoicesInput = document.getElementById('scanMaxVoices');
+const paintToggle = document.getElementById('paintToggle');
+const clearPaintingBtn = document.getElementById('clearPainting');
+const exportPngBtn = document.getElementById('exportPng');
+const paintGroup = document.getElementById('paintGroup');
+const paintToolSelect = document.getElementById('paintToolSelect');
+const paintFilledToggle = document.getElementById('paintFilled');
+const paintColorInput = document.getElementById('paintColor');
+const paintPreviewEl = document.getElementById('paintPreview');
+const paintNoteGroup = document.getElementById('paintNoteGroup');
+const paintNoteSelect = document.getElementById('paintNoteSelect');
 const timingSelect = document.getElementById('timingSelect');
+const envelopeInstrumentSelect = document.getElementById('envelopeInstrumentSelect');
+const envAttackInput = document.getElementById('envAttack');
+const envDecayInput = document.getElementById('envDecay');
+const envSustainInput = document.getElementById('envSustain');
+const envReleaseInput = document.getElementById('envRelease');
+const gateInput = document.getElementById('gateInput');
+const gateValueEl = document.getElementById('gateValue');
+const legatoToggle = document.getElementById('legatoToggle');
+const synthPresetSelect = document.getElementById('synthPresetSelect');
+const synthWaveformSelect = document.getElementById('synthWaveformSelect');
+const synthUnisonInput = document.getElementById('synthUnison');
+const synthDetuneInput = document.getElementById('synthDetune');
+const synthDefaultToggle = document.getElementById('synthDefaultToggle');
+const synthFilterTypeSelect = document.getElementById('synthFilterTypeSelect');
+const synthCutoffInput = document.getElementById('synthCutoff');
+const synthQInput = document.getElementById('synthQ');
+const synthFilterAmountInput = document.getElementById('synthFilterAmount');
+const synthFilterDecayInput = document.getElementById('synthFilterDecay');
+const synthFilterSustainInput = document.getElementById('synthFilterSustain');
+const synthLfoRateInput = document.getElementById('synthLfoRate');
+const synthLfoDepthInput = document.getElementById('synthLfoDepth');
+const synthLfoTargetSelect = document.getElementById('synthLfoTargetSelect');
+const synthFmRatioInput = document.getElementById('synthFmRatio');
+const synthFmIndexInput = document.getElementById('synthFmIndex');
+const synthFmDecayInput = document.getElementById('synthFmDecay');
+const reverbInput = document.getElementById('reverbInput');
+const reverbValueEl = document.getElementById('reverbValue');
+const reverbDecayInput = document.getElementById('reverbDecay');
+const delayInput = document.getElementById('delayInput');
+const delayValueEl = document.getElementById('delayValue');
+const delayTimeSelect = document.getElementById('delayTimeSelect');
+const delayFeedbackInput = document.getElementById('delayFeedback');
+const filterTypeSelect = document.getElementById('filterTypeSelect');
+const filterCutoffInput = document.getElementById('filterCutoff');
+const filterQInput = document.getElementById('filterQ');
+const limiterThresholdInput = document.getElementById('limiterThreshold');
+const limiterRatioInput = document.getElementById('limiterRatio');
+const bpmInput = document.getElementById('bpmInput');
+const tapTempoBtn = document.getElementById('tapTempo');
+const swingInput = document.getElementById('swingInput');
+const swingValueEl = document.getElementById('swingValue');
+const timeSignatureSelect = document.getElementById('timeSignatureSelect');
+const metronomeToggle = document.getElementById('metronomeToggle');
 const resolutionSelect = document.getElementById('resolutionSelect');
+const customResolutionGroup = document.getElementById('customResolutionGroup');
+const gridWidthInput = document.getElementById('gridWidth');
+const gridHeightInput = document.getElementById('gridHeight');
 const stopAllLinesBtn = document.getElementById('stopAllLines');
+const undoBtn = document.getElementById('undo');
+const redoBtn = document.getElementById('redo');
+const recordMidiBtn = document.getElementById('recordMidi');
+const exportMidiBtn = document.getElementById('exportMidi');
+const renderCountInput = document.getElementById('renderCount');
+const renderUnitSelect = document.getElementById('renderUnit');
+const renderWavBtn = document.getElementById('renderWav');
 const minPitchInput = document.getElementById('minPitch');
 const maxPitchInput = document.getElementById('maxPitch');
+const maxStretchInput = document.getElementById('maxStretch');
 const statusEl = document.getElementById('status');
+const lineListEl = document.getElementById('lineList');
+const lineSettingsEl = document.getElementById('lineSettings');
+const lineScaleSelect = document.getElementById('lineScaleSelect');
+const lineTimingSelect = document.getElementById('lineTimingSelect');
+const lineInstrumentSelect = document.getElementById('lineInstrumentSelect');
+const lineTransposeInput = document.getElementById('lineTranspose');
+const lineVolumeInput = document.getElementById('lineVolume');
+const lineVolumeValueEl = document.getElementById('lineVolumeValue');
+const lineDirectionSelect = document.getElementById('lineDirectionSelect');
+const lineMidiChannelInput = document.getElementById('lineMidiChannel');
+const lineMuteToggle = document.getElementById('lineMute');
+const lineSoloToggle = document.getElementById('lineSolo');
+const deleteLineBtn = document.getElementById('deleteLine');
 const pianoEl = document.getElementById('piano');
+const pianoKeyboardToggle = document.getElementById('pianoKeyboardToggle');
+const pianoOctaveInput = document.getElementById('pianoOctave');
+const findNoteToggle = document.getElementById('findNoteToggle');
+const connectMidiBtn = document.getElementById('connectMidi');
+const midiInputSelect = document.getElementById('midiInputSelect');
+const midiOutputSelect = document.getElementById('midiOutputSelect');
+const midiClockToggle = document.getElementById('midiClockToggle');
+const saveSessionBtn = document.getElementById('saveSession');
+const sessionFileInput = document.getElementById('sessionFile');
+const copySessionLinkBtn = document.getElementById('copySessionLink');
 
 // Webcam state
 let webcamStream = null;
@@ -54,34 +239,82 @@ function getMaxPitch() {
     return Math.max(0, Math.min(127, parseInt(maxPitchInput.value) || 100));
 }
 
+// How many semitones a sample may be repitched to stand in for a missing note
+function getMaxStretch() {
+    const value = parseInt(maxStretchInput.value);
+    return isNaN(value) ? 24 : Math.max(0, Math.min(127, value));
+}
+
 // Timing quantization state
-const BPM = 120;
-const BEAT_MS = (60 / BPM) * 1000;  // Duration of a quarter note in ms
-let lastNoteTime = 0;
-
-// Get note duration based on selected timing
-function getNoteDurationMs() {
-    const timing = timingSelect.value;
-    switch (timing) {
-        case 'quarter': return BEAT_MS;       // 1/4 note = 1 beat
-        case 'eighth': return BEAT_MS / 2;    // 1/8 note = 0.5 beats
-        case 'sixteenth': return BEAT_MS / 4; // 1/16 note = 0.25 beats
-        case 'random':
-            // Randomly choose between 1/4, 1/8, and 1/16 notes
-            const choices = [BEAT_MS, BEAT_MS / 2, BEAT_MS / 4];
-            return choices[Math.floor(Math.random() * choices.length)];
-        default: return BEAT_MS / 4;
+let bpm = 120;
+let tapTimes = [];  // Recent tap tempo presses (ms)
+
+function getSecondsPerBeat() {
+    return 60 / bpm;  // Duration of a quarter note
+}
+
+// Step lengths in beats (quarter notes)
+const STEP_BEATS = {
+    quarter: 1,
+    eighth: 0.5,
+    sixteenth: 0.25,
+    quarterDotted: 1.5,
+    eighthDotted: 0.75,
+    sixteenthDotted: 0.375,
+    quarterTriplet: 2 / 3,
+    eighthTriplet: 1 / 3,
+    sixteenthTriplet: 1 / 6
+};
+
+// Get step length in beats based on selected timing
+function getStepBeats(timing = timingSelect.value) {
+    if (timing === 'random') {
+        // Randomly choose between 1/4, 1/8, and 1/16 notes
+        const choices = [1, 0.5, 0.25];
+        return choices[Math.floor(Math.random() * choices.length)];
     }
+    return STEP_BEATS[timing] || 0.25;
 }
-let pendingNote = null;
-let quantizeTimer = null;
+
+// Grid a line starts on: its own step when that divides the beat evenly, otherwise the next beat
+function getAlignBeats(stepBeats) {
+    const perBeat = 1 / stepBeats;
+    return Math.abs(perBeat - Math.round(perBeat)) < 1e-6 ? stepBeats : 1;
+}
+
+// Swing amount 0-1, where 1 delays off-beat eighths to the last triplet
+function getSwing() {
+    return (parseInt(swingInput.value) || 0) / 100;
+}
+
+// Time signature as numerator/denominator
+function getTimeSignature() {
+    const [numerator, denominator] = timeSignatureSelect.value.split('/').map(Number);
+    return { numerator, denominator };
+}
+
+// Bar length in quarter-note beats
+function getBeatsPerBar() {
+    const { numerator, denominator } = getTimeSignature();
+    return numerator * 4 / denominator;
+}
+let pendingNote = null;  // Direct-mode note waiting for its grid step
+let lastDirectBeat = -Infinity;  // Grid step of the last scheduled direct-mode note
+
+// MIDI recording state
+const MIDI_PPQ = 480;  // Ticks per quarter note in exported files
+let isRecording = false;
+let recordStartTime = 0;
+let recordedTracks = new Map();  // Track key ('direct' or 'line_<id>') -> recorded track
+let recordedTempos = [];  // Tempo changes while recording: { time, bpm }
 
 // Line playing state
-let lineStart = null;
-let lineEnd = null;
-let isDrawingLine = false;
+let drawingShape = null;   // Shape being drawn: { type, points } in grid cells
+let isDrawingLine = false;  // Mouse is held down drawing a drag tool shape
+let draggingHandle = null;  // Control point being dragged: { lineId, pointIndex }
 let activeLines = [];  // Array of active line playbacks
 let nextLineId = 0;
+let selectedLineId = null;
 
 // Musical scales (intervals from root note)
 const scales = {
@@ -97,26 +330,24 @@ const scales = {
     phrygian: [0, 1, 3, 5, 7, 8, 10],
     lydian: [0, 2, 4, 6, 7, 9, 11],
     mixolydian: [0, 2, 4, 5, 7, 9, 10],
-    wholeTone: [0, 2, 4, 6, 8, 10]
+    wholeTone: [0, 2, 4, 6, 8, 10],
+    custom: [0, 2, 4, 5, 7, 9, 11]  // Edited with the custom scale toggles
 };
 
-// Build array of all MIDI notes in the selected scale
+// Build array of all MIDI notes in the selected scale, from the selected root
 function getScaleNotes(scaleName, minNote, maxNote) {
     const min = minNote !== undefined ? minNote : getMinPitch();
     const max = maxNote !== undefined ? maxNote : getMaxPitch();
     const intervals = scales[scaleName] || scales.major;
     const notes = [];
 
-    for (let octaveStart = 0; octaveStart <= 120; octaveStart += 12) {
-        for (const interval of intervals) {
-            const note = octaveStart + interval;
-            if (note >= min && note <= max) {
-                notes.push(note);
-            }
+    for (let note = min; note <= max; note++) {
+        if (isKeyInScale(note, intervals)) {
+            notes.push(note);
         }
     }
 
-    return notes.sort((a, b) => a - b);
+    return notes;
 }
 
 // Quantize a raw note value to the nearest note in the scale
@@ -139,894 +370,5636 @@ function quantizeToScale(rawNote, scaleName) {
     return closest;
 }
 
-// Initialize
-function init() {
-    setupEventListeners();
-    drawEmptyGrid();
-    initAudio();
-    buildPiano();
-
-    // Load the default image
-    if (imageUrlInput.value) {
-        loadImageFromUrl(imageUrlInput.value);
-    }
-}
+// Tuning
+// Keys stay MIDI note numbers; a Scala tuning only changes the pitch each key sounds at.
+// null means standard 12-tone equal temperament.
+let tuning = null;
 
-function initAudio() {
-    audioContext = new (window.AudioContext || window.webkitAudioContext)();
+function getRootNote() {
+    return parseInt(rootSelect.value) || 0;
 }
 
-// Piano keyboard
-function buildPiano() {
-    pianoEl.innerHTML = '';
-    pianoKeys = {};
+// Parse a Scala .scl file into a name and the cents of each degree; the last degree is the period
+function parseScl(text) {
+    const lines = text.split(/\r?\n/).filter(line => !line.startsWith('!'));
+    if (lines.length < 2) throw new Error('Not a Scala .scl file');
 
-    const noteNames = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
-    const blackNotes = [1, 3, 6, 8, 10];  // Db, Eb, Gb, Ab, Bb
+    const name = lines[0].trim();
+    const count = parseInt(lines[1]);
+    if (!(count > 0)) throw new Error('Scala file has no notes');
 
-    const startNote = getMinPitch();
-    const endNote = getMaxPitch();
+    const cents = lines.slice(2, 2 + count).map(line => {
+        const value = line.trim().split(/\s+/)[0];
+        if (value.includes('.')) return parseFloat(value);
 
-    for (let midi = startNote; midi <= endNote; midi++) {
-        const noteIndex = midi % 12;
-        const octave = Math.floor(midi / 12) - 1;
-        const isBlack = blackNotes.includes(noteIndex);
+        const [numerator, denominator = '1'] = value.split('/');
+        const ratio = parseInt(numerator) / parseInt(denominator);
+        if (!(ratio > 0)) throw new Error(`Bad pitch "${value}" in Scala file`);
+        return 1200 * Math.log2(ratio);
+    });
+    if (cents.length < count || cents.some(isNaN)) throw new Error('Scala file is missing notes');
 
-        const key = document.createElement('div');
-        key.className = `piano-key ${isBlack ? 'black' : 'white'}`;
-        key.dataset.midi = midi;
+    return { name: name || 'Scala tuning', cents };
+}
 
-        // Add note label for C notes (white keys only)
-        if (noteIndex === 0) {
-            const label = document.createElement('span');
-            label.className = 'note-label';
-            label.textContent = `C${octave}`;
-            key.appendChild(label);
-        }
+// Parse a Scala .kbm keyboard mapping; 'x' entries leave a key unmapped (null)
+function parseKbm(text) {
+    const values = text.split(/\r?\n/)
+        .filter(line => !line.startsWith('!'))
+        .map(line => line.trim().split(/\s+/)[0])
+        .filter(value => value !== undefined && value !== '');
+    if (values.length < 7) throw new Error('Not a Scala .kbm file');
+
+    const size = parseInt(values[0]);
+    return {
+        size,
+        first: parseInt(values[1]),
+        last: parseInt(values[2]),
+        middle: parseInt(values[3]),
+        referenceNote: parseInt(values[4]),
+        referenceFrequency: parseFloat(values[5]),
+        octaveDegree: parseInt(values[6]),
+        mapping: values.slice(7, 7 + size).map(value => value === 'x' ? null : parseInt(value))
+    };
+}
 
-        pianoEl.appendChild(key);
-        pianoKeys[midi] = key;
-    }
+// Scala's default keyboard: degree 0 on middle C, A4 at 440 Hz, every key mapped in order
+function createLinearKeyboard(degreeCount) {
+    return { size: 0, first: 0, last: 127, middle: 60, referenceNote: 69, referenceFrequency: 440, octaveDegree: degreeCount, mapping: [] };
 }
 
-function highlightPianoKey(midiNote) {
-    // Clear all highlights
-    Object.values(pianoKeys).forEach(key => key.classList.remove('active'));
+// Scale degree a key plays under the tuning, counted from the middle note, or null if unmapped
+function getTuningDegree(midiNote) {
+    const keyboard = tuning.keyboard;
+    if (midiNote < keyboard.first || midiNote > keyboard.last) return null;
 
-    // Highlight the played key
-    if (pianoKeys[midiNote]) {
-        pianoKeys[midiNote].classList.add('active');
-    }
-}
+    const offset = midiNote - keyboard.middle;
+    if (keyboard.size === 0) return offset;
 
-function clearPianoHighlight() {
-    Object.values(pianoKeys).forEach(key => key.classList.remove('active'));
+    const octave = Math.floor(offset / keyboard.size);
+    const degree = keyboard.mapping[offset - octave * keyboard.size];
+    return degree === null || degree === undefined ? null : degree + octave * keyboard.octaveDegree;
 }
 
-function setupEventListeners() {
-    loadUrlBtn.addEventListener('click', () => loadImageFromUrl(imageUrlInput.value));
-    captureWebcamBtn.addEventListener('click', captureFromWebcam);
-    loadSoundfontBtn.addEventListener('click', () => loadSoundfont(soundfontUrlInput.value));
-    stopAllLinesBtn.addEventListener('click', stopAllLinePlayback);
-
-    // Rebuild piano when pitch range changes
-    minPitchInput.addEventListener('change', buildPiano);
-    maxPitchInput.addEventListener('change', buildPiano);
+function getDegreeCents(degree) {
+    const count = tuning.cents.length;
+    const period = tuning.cents[count - 1];
+    const octave = Math.floor(degree / count);
+    const index = degree - octave * count;
+    return octave * period + (index === 0 ? 0 : tuning.cents[index - 1]);
+}
 
-    // Resample image when resolution changes
-    resolutionSelect.addEventListener('change', () => {
-        stopAllLinePlayback();
-        if (originalImage) {
-            processImage(originalImage);
-        }
-    });
+// Pitch a key sounds at, as a fractional MIDI note (60.5 is a quarter tone above middle C)
+function getTunedPitch(midiNote) {
+    if (!tuning) return midiNote;
 
-    canvas.addEventListener('mousedown', startDrag);
-    canvas.addEventListener('mousemove', onDrag);
-    canvas.addEventListener('mouseup', endDrag);
-    canvas.addEventListener('mouseleave', endDrag);
+    const degree = getTuningDegree(midiNote);
+    if (degree === null) return midiNote;
 
-    // Touch support
-    canvas.addEventListener('touchstart', (e) => {
-        e.preventDefault();
-        startDrag(e.touches[0]);
-    });
-    canvas.addEventListener('touchmove', (e) => {
-        e.preventDefault();
-        onDrag(e.touches[0]);
-    });
-    canvas.addEventListener('touchend', endDrag);
+    const keyboard = tuning.keyboard;
+    const referenceDegree = getTuningDegree(keyboard.referenceNote) ?? keyboard.referenceNote - keyboard.middle;
+    const referencePitch = 69 + 12 * Math.log2(keyboard.referenceFrequency / 440);
+    return referencePitch + (getDegreeCents(degree) - getDegreeCents(referenceDegree)) / 100;
+}
 
-    // Resume audio context on user interaction
-    document.addEventListener('click', () => {
-        if (audioContext && audioContext.state === 'suspended') {
-            audioContext.resume();
-        }
-    }, { once: true });
+function midiToFrequency(midiNote) {
+    return 440 * Math.pow(2, (getTunedPitch(midiNote) - 69) / 12);
 }
 
-function drawEmptyGrid() {
-    ctx.fillStyle = '#0f0f23';
-    ctx.fillRect(0, 0, CANVAS_SIZE, CANVAS_SIZE);
-    ctx.strokeStyle = '#333';
-    ctx.lineWidth = 0.5;
+// Scales are defined in 12-tone steps, so they only apply to 12-note tunings;
+// other tunings use every mapped key
+function isKeyInScale(midiNote, intervals) {
+    if (tuning && getTuningDegree(midiNote) === null) return false;
+    if (tuning && tuning.cents.length !== 12) return true;
+    return intervals.includes(((midiNote - getRootNote()) % 12 + 12) % 12);
+}
 
-    for (let i = 0; i <= getGridSize(); i += 8) {
-        const pos = i * getPixelSize();
-        ctx.beginPath();
-        ctx.moveTo(pos, 0);
-        ctx.lineTo(pos, CANVAS_SIZE);
-        ctx.stroke();
-        ctx.beginPath();
-        ctx.moveTo(0, pos);
-        ctx.lineTo(CANVAS_SIZE, pos);
-        ctx.stroke();
+async function loadSclFile(file) {
+    try {
+        const scale = parseScl(await file.text());
+        tuning = { ...scale, keyboard: tuning?.kbmName ? tuning.keyboard : createLinearKeyboard(scale.cents.length), kbmName: tuning?.kbmName };
+        updateTuningInfo();
+        setStatus(`Loaded tuning "${scale.name}" (${scale.cents.length} notes per period)`);
+    } catch (error) {
+        setStatus('Error loading .scl: ' + error.message);
     }
+    sclFileInput.value = '';
 }
 
-// Image Loading
-async function loadImageFromUrl(url) {
-    if (!url) {
-        setStatus('Please enter an image URL');
+async function loadKbmFile(file) {
+    if (!tuning) {
+        setStatus('Load a .scl tuning before its keyboard mapping.');
+        kbmFileInput.value = '';
         return;
     }
 
-    setStatus('Loading image...');
-
     try {
-        const img = new Image();
-        img.crossOrigin = 'anonymous';
-
-        await new Promise((resolve, reject) => {
-            img.onload = resolve;
-            img.onerror = () => reject(new Error('Failed to load image. Try a different URL or upload a local file.'));
-            img.src = url;
-        });
-
-        processImage(img);
+        tuning = { ...tuning, keyboard: parseKbm(await file.text()), kbmName: file.name };
+        updateTuningInfo();
+        setStatus(`Loaded keyboard mapping ${file.name}`);
     } catch (error) {
-        setStatus('Error: ' + error.message);
+        setStatus('Error loading .kbm: ' + error.message);
     }
+    kbmFileInput.value = '';
 }
 
-async function captureFromWebcam() {
-    setStatus('Accessing webcam...');
+function resetTuning() {
+    tuning = null;
+    updateTuningInfo();
+    setStatus('Tuning reset to 12-tone equal temperament');
+}
 
-    try {
-        // Request webcam access
-        webcamStream = await navigator.mediaDevices.getUserMedia({
-            video: { facingMode: 'environment', width: { ideal: 640 }, height: { ideal: 480 } }
+function updateTuningInfo() {
+    tuningNameEl.textContent = tuning ? tuning.name + (tuning.kbmName ? ` + ${tuning.kbmName}` : '') : '12-TET';
+    updateScaleKeys();
+}
+
+// Custom scale: one toggle per semitone above the root
+function setupCustomScale() {
+    const intervalNames = ['R', 'b2', '2', 'b3', '3', '4', 'b5', '5', 'b6', '6', 'b7', '7'];
+
+    intervalNames.forEach((name, interval) => {
+        const label = document.createElement('label');
+        label.className = 'checkbox';
+
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = scales.custom.includes(interval);
+        toggle.disabled = interval === 0;  // The root is always in the scale
+        toggle.addEventListener('change', () => {
+            const intervals = scales.custom.filter(i => i !== interval);
+            if (toggle.checked) intervals.push(interval);
+            scales.custom = intervals.sort((a, b) => a - b);
+            updateScaleKeys();
         });
 
-        // Create video element
-        const video = document.createElement('video');
-        video.srcObject = webcamStream;
-        video.setAttribute('playsinline', true);
+        label.append(toggle, name);
+        customScaleGroup.appendChild(label);
+    });
+}
 
-        await new Promise((resolve) => {
-            video.onloadedmetadata = () => {
-                video.play();
-                resolve();
-            };
-        });
+function updateScaleControls() {
+    customScaleGroup.hidden = scaleSelect.value !== 'custom';
+    updateScaleKeys();
+}
 
-        // Wait a moment for the camera to adjust
-        setStatus('Camera ready - capturing in 1 second...');
-        await new Promise(resolve => setTimeout(resolve, 1000));
+// Color Mapping
+// Each sound parameter can follow one channel of the chosen color space, shaped by a curve,
+// squeezed into part of its range (min/max, in percent) and optionally inverted
+const COLOR_SPACES = {
+    rgb: ['R', 'G', 'B'],
+    hsv: ['H', 'S', 'V'],
+    hsl: ['H', 'S', 'L'],
+    lab: ['L*', 'a*', 'b*'],
+    luminance: ['Y']
+};
 
-        // Capture frame to canvas
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = video.videoWidth;
-        tempCanvas.height = video.videoHeight;
-        const tempCtx = tempCanvas.getContext('2d');
-        tempCtx.drawImage(video, 0, 0);
+const MAPPING_TARGETS = {
+    pitch: { label: 'Pitch', channel: 0, min: 0, max: 100 },
+    velocity: { label: 'Volume', channel: 1, min: 40, max: 100 },
+    pan: { label: 'Pan', channel: 2, min: 0, max: 100 },
+    cutoff: { label: 'Filter', channel: 'none', min: 0, max: 100 },
+    length: { label: 'Length', channel: 'none', min: 10, max: 100 },
+    instrument: { label: 'Instrument', channel: 'none', min: 0, max: 100 },
+    reverb: { label: 'Reverb Send', channel: 'none', min: 0, max: 100 },
+    delay: { label: 'Delay Send', channel: 'none', min: 0, max: 100 }
+};
 
-        // Stop the webcam stream
-        webcamStream.getTracks().forEach(track => track.stop());
-        webcamStream = null;
+const MAPPING_CURVES = {
+    linear: v => v,
+    exponential: v => v * v,
+    logarithmic: v => Math.sqrt(v),
+    sCurve: v => v * v * (3 - 2 * v)
+};
 
-        // Create image from canvas
-        const img = new Image();
-        img.onload = () => processImage(img);
-        img.src = tempCanvas.toDataURL('image/png');
+let colorMapping = createDefaultColorMapping();
 
-    } catch (error) {
-        if (webcamStream) {
-            webcamStream.getTracks().forEach(track => track.stop());
-            webcamStream = null;
-        }
+function createDefaultColorMapping() {
+    const assignments = {};
+    for (const [target, defaults] of Object.entries(MAPPING_TARGETS)) {
+        assignments[target] = { channel: defaults.channel, curve: 'linear', min: defaults.min, max: defaults.max, invert: false };
+    }
+    return { space: 'rgb', assignments };
+}
 
-        if (error.name === 'NotAllowedError') {
-            setStatus('Webcam access denied. Please allow camera access and try again.');
-        } else if (error.name === 'NotFoundError') {
-            setStatus('No webcam found. Please connect a camera and try again.');
-        } else {
-            setStatus('Error accessing webcam: ' + error.message);
+// Perceived brightness 0-255 (Rec. 601 weights)
+function getLuminance(r, g, b) {
+    return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+// A color's channels in a color space, each normalized to 0-1
+function getColorChannels(r, g, b, space = colorMapping.space) {
+    const rn = r / 255;
+    const gn = g / 255;
+    const bn = b / 255;
+    const max = Math.max(rn, gn, bn);
+    const min = Math.min(rn, gn, bn);
+    const chroma = max - min;
+
+    let hue = 0;
+    if (chroma > 0) {
+        if (max === rn) hue = ((gn - bn) / chroma + 6) % 6;
+        else if (max === gn) hue = (bn - rn) / chroma + 2;
+        else hue = (rn - gn) / chroma + 4;
+    }
+    hue /= 6;
+
+    switch (space) {
+        case 'hsv':
+            return [hue, max === 0 ? 0 : chroma / max, max];
+        case 'hsl': {
+            const lightness = (max + min) / 2;
+            const saturation = chroma === 0 ? 0 : chroma / (1 - Math.abs(2 * lightness - 1));
+            return [hue, saturation, lightness];
+        }
+        case 'lab': {
+            const [l, a, labB] = rgbToLab(r, g, b);
+            return [l / 100, (a + 128) / 255, (labB + 128) / 255].map(v => Math.max(0, Math.min(1, v)));
         }
+        case 'luminance':
+            return [getLuminance(r, g, b) / 255];
+        default:
+            return [rn, gn, bn];
     }
 }
 
-function processImage(img) {
-    // Store the original image for resampling later
-    originalImage = img;
-    resampleImage();
+// sRGB to CIELab (D65 white point)
+function rgbToLab(r, g, b) {
+    const linear = [r, g, b].map(c => {
+        c /= 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+
+    const x = (linear[0] * 0.4124 + linear[1] * 0.3576 + linear[2] * 0.1805) / 0.95047;
+    const y = linear[0] * 0.2126 + linear[1] * 0.7152 + linear[2] * 0.0722;
+    const z = (linear[0] * 0.0193 + linear[1] * 0.1192 + linear[2] * 0.9505) / 1.08883;
+    const f = t => t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116;
+
+    return [116 * f(y) - 16, 500 * (f(x) - f(y)), 200 * (f(y) - f(z))];
 }
 
-function resampleImage() {
-    if (!originalImage) return;
+// 0-1 position of a target within its range, or null when no channel drives it
+function getMappedValue(channels, target) {
+    const assignment = colorMapping.assignments[target];
+    if (assignment.channel === 'none' || assignment.channel >= channels.length) return null;
 
-    const gridSize = getGridSize();
+    let value = channels[assignment.channel];
+    if (assignment.invert) value = 1 - value;
+    value = MAPPING_CURVES[assignment.curve](value);
 
-    // Create temporary canvas to resize image
-    const tempCanvas = document.createElement('canvas');
-    tempCanvas.width = gridSize;
-    tempCanvas.height = gridSize;
-    const tempCtx = tempCanvas.getContext('2d');
+    return (assignment.min + (assignment.max - assignment.min) * value) / 100;
+}
 
-    // Draw image scaled to grid size
-    tempCtx.drawImage(originalImage, 0, 0, gridSize, gridSize);
+// Map a color to a note. Unmapped targets fall back to the middle of the pitch range,
+// 70% volume, center pan, no filter, the gate setting, the default instrument and no extra sends.
+function mapColorToNote(r, g, b, scaleName = scaleSelect.value) {
+    const channels = getColorChannels(r, g, b);
+    const value = target => getMappedValue(channels, target);
 
-    // Get pixel data - copy to a new array to avoid reference issues
-    const imageData = tempCtx.getImageData(0, 0, gridSize, gridSize);
-    pixelData = new Uint8ClampedArray(imageData.data);
+    const midiNote = quantizeToScale(getRawNote(channels), scaleName);
+    const volume = value('velocity') ?? 0.7;
+    const pan = (value('pan') ?? 0.5) * 2 - 1;
 
-    // Clear and draw to main canvas (scaled up)
-    ctx.clearRect(0, 0, CANVAS_SIZE, CANVAS_SIZE);
-    ctx.imageSmoothingEnabled = false;
-    ctx.drawImage(tempCanvas, 0, 0, CANVAS_SIZE, CANVAS_SIZE);
+    const cutoffValue = value('cutoff');
+    const cutoff = cutoffValue === null ? null : 100 * Math.pow(180, cutoffValue);  // 100 Hz - 18 kHz
+
+    const lengthValue = value('length');
+    const length = lengthValue === null ? null : Math.max(0.05, lengthValue);
 
-    setStatus(`Image loaded at ${gridSize}x${gridSize}. Draw lines to play!`);
+    // The instrument target splits its range into equal bands, one per loaded instrument in list order
+    const instrumentValue = value('instrument');
+    const instrument = instrumentValue === null || instruments.length === 0 ? 'global' :
+        instruments[Math.min(instruments.length - 1, Math.floor(instrumentValue * instruments.length))].id;
+
+    // Per-note effect sends, on top of the bus's own send levels
+    const reverb = value('reverb');
+    const delay = value('delay');
+
+    return { midiNote, volume, pan, cutoff, length, instrument, reverb, delay };
 }
 
-// SoundFont Loading
-async function loadSoundfont(url) {
-    if (!url) {
-        setStatus('Please enter a SoundFont URL');
-        return;
+// Note a color's channels point at in the pitch range, before scale quantization
+function getRawNote(channels) {
+    const minPitch = getMinPitch();
+    const pitchRange = getMaxPitch() - minPitch;
+    return Math.floor((getMappedValue(channels, 'pitch') ?? 0.5) * pitchRange) + minPitch;
+}
+
+// Raw notes that quantize to a note, so searches over many colors can skip quantizing each one
+function getRawNotesFor(midiNote, scaleName = scaleSelect.value) {
+    const rawNotes = new Set();
+    for (let rawNote = getMinPitch(); rawNote <= getMaxPitch(); rawNote++) {
+        if (quantizeToScale(rawNote, scaleName) === midiNote) rawNotes.add(rawNote);
     }
+    return rawNotes;
+}
 
-    setStatus('Loading SoundFont...');
-    isLoading = true;
+// How long a note lasts in seconds, or null for notes held until the next one.
+// A mapped note length wins over the gate control.
+function getNoteLengthSeconds(note, stepBeats) {
+    const length = note.length ?? getGate();
+    return length === null ? null : length * stepBeats * getSecondsPerBeat();
+}
 
-    try {
-        // For MIDI.js soundfont format
-        const response = await fetch(url);
-        const text = await response.text();
-
-        // Parse the MIDI.js soundfont format (uses single quotes, not valid JSON)
-        const match = text.match(/MIDI\.Soundfont\.(\w+)\s*=\s*({[\s\S]*})/);
-        if (match) {
-            // Convert single quotes to double quotes for JSON parsing
-            let jsonStr = match[2]
-                .replace(/'/g, '"')  // Replace single quotes with double quotes
-                .replace(/,\s*}/g, '}');  // Remove trailing commas
-            const data = JSON.parse(jsonStr);
-            await loadSoundfontData(data);
-            setStatus('SoundFont loaded! Drag mouse over pixels to play.');
-        } else {
-            throw new Error('Invalid SoundFont format');
-        }
-    } catch (error) {
-        setStatus('Error loading SoundFont: ' + error.message + '. Using basic oscillator.');
-        soundfontSamples = {};
+function setupColorMapping() {
+    const headings = ['', 'Channel', 'Curve', 'Min %', 'Max %', 'Invert'];
+    for (const text of headings) {
+        const heading = document.createElement('span');
+        heading.className = 'heading';
+        heading.textContent = text;
+        mappingTableEl.appendChild(heading);
     }
 
-    isLoading = false;
-}
+    for (const [target, defaults] of Object.entries(MAPPING_TARGETS)) {
+        const label = document.createElement('label');
+        label.textContent = defaults.label + ':';
 
-async function loadSoundfontData(data) {
-    soundfontSamples = {};
+        const channelSelect = document.createElement('select');
+        channelSelect.dataset.target = target;
+        channelSelect.className = 'mapping-channel';
 
-    for (const [note, dataUri] of Object.entries(data)) {
-        try {
-            const response = await fetch(dataUri);
-            const arrayBuffer = await response.arrayBuffer();
-            const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
-            soundfontSamples[note] = audioBuffer;
-        } catch (e) {
-            console.warn(`Failed to load note ${note}:`, e);
+        const curveSelect = document.createElement('select');
+        curveSelect.dataset.target = target;
+        curveSelect.className = 'mapping-curve';
+        for (const [value, text] of [['linear', 'Linear'], ['exponential', 'Exp'], ['logarithmic', 'Log'], ['sCurve', 'S-curve']]) {
+            curveSelect.appendChild(new Option(text, value));
         }
-    }
-}
 
-// Mouse/Touch Interaction
-function startDrag(event) {
-    if (!pixelData) return;
+        const minInput = document.createElement('input');
+        minInput.className = 'mapping-min';
+        const maxInput = document.createElement('input');
+        maxInput.className = 'mapping-max';
+        for (const input of [minInput, maxInput]) {
+            input.type = 'number';
+            input.min = 0;
+            input.max = 100;
+            input.dataset.target = target;
+        }
 
-    if (audioContext && audioContext.state === 'suspended') {
-        audioContext.resume();
-    }
+        const invertToggle = document.createElement('input');
+        invertToggle.type = 'checkbox';
+        invertToggle.dataset.target = target;
+        invertToggle.className = 'mapping-invert';
 
-    const playMode = playModeSelect.value;
+        const assignment = colorMapping.assignments[target];
 
-    if (playMode === 'line' || playMode === 'lineLoop') {
-        startLineDrawing(event);
-    } else {
-        isDragging = true;
-        playAtPosition(event);
+        channelSelect.addEventListener('change', () => {
+            assignment.channel = channelSelect.value === 'none' ? 'none' : parseInt(channelSelect.value);
+            updateMappingInfo();
+        });
+        curveSelect.addEventListener('change', () => {
+            assignment.curve = curveSelect.value;
+            updateMappingInfo();
+        });
+        minInput.addEventListener('change', () => {
+            assignment.min = Math.max(0, Math.min(100, parseInt(minInput.value) || 0));
+            minInput.value = assignment.min;
+        });
+        maxInput.addEventListener('change', () => {
+            assignment.max = Math.max(0, Math.min(100, parseInt(maxInput.value) || 0));
+            maxInput.value = assignment.max;
+        });
+        invertToggle.addEventListener('change', () => {
+            assignment.invert = invertToggle.checked;
+            updateMappingInfo();
+        });
+
+        mappingTableEl.append(label, channelSelect, curveSelect, minInput, maxInput, invertToggle);
     }
-}
 
-function onDrag(event) {
-    if (!pixelData) return;
+    colorSpaceSelect.addEventListener('change', () => {
+        colorMapping.space = colorSpaceSelect.value;
+        updateChannelOptions();
+    });
 
-    const playMode = playModeSelect.value;
+    updateMappingTable();
+}
 
-    if (playMode === 'line' || playMode === 'lineLoop') {
-        updateLineDrawing(event);
-    } else {
-        if (!isDragging) return;
-        playAtPosition(event);
+// Show the current mapping in the color space picker and the mapping table
+function updateMappingTable() {
+    colorSpaceSelect.value = colorMapping.space;
+    for (const [target, assignment] of Object.entries(colorMapping.assignments)) {
+        const control = className => mappingTableEl.querySelector(`.${className}[data-target="${target}"]`);
+        control('mapping-curve').value = assignment.curve;
+        control('mapping-min').value = assignment.min;
+        control('mapping-max').value = assignment.max;
+        control('mapping-invert').checked = assignment.invert;
     }
+
+    updateChannelOptions();
 }
 
-function endDrag() {
-    const playMode = playModeSelect.value;
+// Refill the channel pickers for the current color space; channels it lacks become unassigned
+function updateChannelOptions() {
+    const channelNames = COLOR_SPACES[colorMapping.space];
+
+    for (const assignment of Object.values(colorMapping.assignments)) {
+        if (assignment.channel !== 'none' && assignment.channel >= channelNames.length) {
+            assignment.channel = 'none';
+        }
+    }
+
+    for (const select of mappingTableEl.querySelectorAll('.mapping-channel')) {
+        const assignment = colorMapping.assignments[select.dataset.target];
+        select.innerHTML = '';
+        select.appendChild(new Option('—', 'none'));
+        channelNames.forEach((name, i) => select.appendChild(new Option(name, i)));
+        select.value = String(assignment.channel);
+    }
+
+    updateMappingInfo();
+}
+
+// Legend under the grid, e.g. "H = Pitch", "V (inv, exp) = Volume"
+function updateMappingInfo() {
+    const channelNames = COLOR_SPACES[colorMapping.space];
+    mappingInfoEl.innerHTML = '';
+
+    for (const [target, { label }] of Object.entries(MAPPING_TARGETS)) {
+        const assignment = colorMapping.assignments[target];
+        if (assignment.channel === 'none') continue;
+
+        const notes = [];
+        if (assignment.invert) notes.push('inv');
+        if (assignment.curve !== 'linear') notes.push({ exponential: 'exp', logarithmic: 'log', sCurve: 's-curve' }[assignment.curve]);
+
+        const item = document.createElement('span');
+        const channel = document.createElement('strong');
+        channel.textContent = channelNames[assignment.channel];
+        item.append(channel, `${notes.length ? ` (${notes.join(', ')})` : ''} = ${label}`);
+        mappingInfoEl.appendChild(item);
+    }
+}
+
+// Color as shown in the status bar, in the active color space
+function formatColor(r, g, b) {
+    const percent = v => Math.round(v * 100);
+
+    switch (colorMapping.space) {
+        case 'hsv':
+        case 'hsl': {
+            const [h, s, v] = getColorChannels(r, g, b);
+            return `${colorMapping.space.toUpperCase()}(${Math.round(h * 360)}°, ${percent(s)}%, ${percent(v)}%)`;
+        }
+        case 'lab': {
+            const [l, a, labB] = rgbToLab(r, g, b);
+            return `Lab(${Math.round(l)}, ${Math.round(a)}, ${Math.round(labB)})`;
+        }
+        case 'luminance':
+            return `Y(${Math.round(getLuminance(r, g, b))})`;
+        default:
+            return `RGB(${r}, ${g}, ${b})`;
+    }
+}
+
+// Pan (-1 to 1) as shown in the status bar, e.g. '30% Left'
+function formatPan(pan) {
+    const percent = Math.round(pan * 100);
+    return percent < 0 ? `${Math.abs(percent)}% Left` : percent > 0 ? `${percent}% Right` : 'Center';
+}
+
+// Initialize
+function init() {
+    setupHistory();
+    setupEventListeners();
+    setupLineSettings();
+    setupColorMapping();
+    setupCustomScale();
+    setupEnvelopeControls();
+    setupEffectControls();
+    setupSynthControls();
+    setupPreprocessingControls();
+    setupPaintControls();
+    setupPianoInput();
+    setupMidiOutput();
+    drawEmptyGrid();
+    initAudio();
+    buildPiano();
+    refreshLibrary();
+
+    // Open a shared session link, or else the default image
+    if (location.hash.startsWith(SESSION_HASH_PREFIX)) {
+        loadSessionFromHash();
+    } else if (imageUrlInput.value) {
+        loadImageFromUrl(imageUrlInput.value);
+    }
+}
+
+function initAudio() {
+    audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    masterBus = createMasterBus(audioContext);
+}
+
+// Piano keyboard
+function buildPiano() {
+    pianoEl.innerHTML = '';
+    pianoKeys = {};
+
+    const blackNotes = [1, 3, 6, 8, 10];  // Db, Eb, Gb, Ab, Bb
+
+    const startNote = getMinPitch();
+    const endNote = getMaxPitch();
+
+    for (let midi = startNote; midi <= endNote; midi++) {
+        const noteIndex = midi % 12;
+        const octave = Math.floor(midi / 12) - 1;
+        const isBlack = blackNotes.includes(noteIndex);
+
+        const key = document.createElement('div');
+        key.className = `piano-key ${isBlack ? 'black' : 'white'}`;
+        key.dataset.midi = midi;
+
+        // Add note label for C notes (white keys only)
+        if (noteIndex === 0) {
+            const label = document.createElement('span');
+            label.className = 'note-label';
+            label.textContent = `C${octave}`;
+            key.appendChild(label);
+        }
+
+        pianoEl.appendChild(key);
+        pianoKeys[midi] = key;
+    }
+
+    updateScaleKeys();
+}
+
+// Mark the keys of the selected scale (and its root) on the piano
+function updateScaleKeys() {
+    const scaleNotes = new Set(getScaleNotes(scaleSelect.value, 0, 127));
+    const root = getRootNote();
+
+    for (const [midi, key] of Object.entries(pianoKeys)) {
+        key.classList.toggle('in-scale', scaleNotes.has(Number(midi)));
+        key.classList.toggle('root', scaleNotes.has(Number(midi)) && (midi - root) % 12 === 0);
+    }
+}
+
+// Light up a key, in the color of the instrument that played it
+function highlightPianoKey(midiNote, color = null) {
+    clearPianoHighlight();
+    setPianoKeyActive(midiNote, color);
+}
+
+// Highlight several keys at once (scan mode chords)
+function highlightPianoKeys(midiNotes, colors = []) {
+    clearPianoHighlight();
+    midiNotes.forEach((midiNote, i) => setPianoKeyActive(midiNote, colors[i] || null));
+}
+
+function setPianoKeyActive(midiNote, color) {
+    const key = pianoKeys[midiNote];
+    if (!key) return;
+
+    key.classList.add('active');
+    if (color) {
+        key.style.background = color;
+        key.style.boxShadow = `0 0 15px ${color}`;
+    }
+}
+
+function clearPianoHighlight() {
+    Object.values(pianoKeys).forEach(key => {
+        key.classList.remove('active');
+        key.style.background = '';
+        key.style.boxShadow = '';
+    });
+}
+
+// Piano Input
+// The keyboard under the grid plays the current instrument from the mouse, the computer keyboard
+// (two octaves laid out like a tracker: Z to M and Q to P) and a Web MIDI input. Notes sound
+// while their key is held, as voices in activeNotes keyed 'piano_<note>', and are recorded on
+// their own polyphonic track.
+const PIANO_KEYBOARD = {
+    KeyZ: 0, KeyS: 1, KeyX: 2, KeyD: 3, KeyC: 4, KeyV: 5, KeyG: 6, KeyB: 7, KeyH: 8, KeyN: 9, KeyJ: 10, KeyM: 11,
+    Comma: 12, KeyL: 13, Period: 14, Semicolon: 15, Slash: 16,
+    KeyQ: 12, Digit2: 13, KeyW: 14, Digit3: 15, KeyE: 16, KeyR: 17, Digit5: 18, KeyT: 19, Digit6: 20, KeyY: 21,
+    Digit7: 22, KeyU: 23, KeyI: 24, Digit9: 25, KeyO: 26, Digit0: 27, KeyP: 28
+};
+const PIANO_VOLUME = 0.8;  // Volume of notes played with the mouse or the computer keyboard
+let heldComputerKeys = new Map();  // Key code -> MIDI note it is holding
+let heldMidiNotes = new Set();  // Notes held on the MIDI input
+let pointerNote = null;  // Note held by the mouse or a touch
+let foundNotePixels = [];  // Grid cells outlined by "Find this note"
+let midiAccess = null;
+let midiInput = null;
+
+function setupPianoInput() {
+    pianoEl.addEventListener('pointerdown', (e) => {
+        const key = e.target.closest('.piano-key');
+        if (!key) return;
+        e.preventDefault();
+        movePointerNote(Number(key.dataset.midi));
+    });
+    // Dragging across the keys glides from note to note
+    pianoEl.addEventListener('pointerover', (e) => {
+        const key = e.target.closest('.piano-key');
+        if (key && pointerNote !== null) movePointerNote(Number(key.dataset.midi));
+    });
+    document.addEventListener('pointerup', () => movePointerNote(null));
+    document.addEventListener('pointercancel', () => movePointerNote(null));
+
+    document.addEventListener('keydown', onPianoKeyDown);
+    document.addEventListener('keyup', onPianoKeyUp);
+    // Keys let go while the window is in the background never send a keyup
+    window.addEventListener('blur', releaseComputerKeys);
+    pianoKeyboardToggle.addEventListener('change', releaseComputerKeys);
+
+    findNoteToggle.addEventListener('change', () => {
+        foundNotePixels = [];
+        redrawWithActiveLines();
+    });
+    connectMidiBtn.addEventListener('click', connectMidi);
+    midiInputSelect.addEventListener('change', selectMidiInput);
+}
+
+// Instrument key of the instrument selected in the list, or the synth when it is the default or
+// nothing is loaded
+function getPianoInstrument() {
+    const instrument = synthDefaultToggle.checked ? null : getSelectedInstrument() || getInstrument();
+    return instrument ? instrument.id : 'synth';
+}
+
+function pressPianoKey(midiNote, volume) {
+    if (audioContext.state === 'suspended') {
+        audioContext.resume();
+    }
+
+    // A key struck again while it still sounds starts over
+    releasePianoKey(midiNote);
+
+    // Built like a line's note, without the color-mapped filter and sends
+    const now = audioContext.currentTime;
+    const note = { midiNote, volume, pan: 0, cutoff: null, instrument: getPianoInstrument(), reverb: null, delay: null };
+    activeNotes.set(`piano_${midiNote}`, createLineVoice(audioContext, masterBus, note, now));
+    recordKeyOn(midiNote, volume, now);
+    setPianoKeyPressed(midiNote, true);
+
+    if (findNoteToggle.checked) {
+        findNotePixels(midiNote);
+    }
+}
+
+function releasePianoKey(midiNote) {
+    const voice = activeNotes.get(`piano_${midiNote}`);
+    if (!voice) return;
+
+    const now = audioContext.currentTime;
+    try {
+        releaseVoice(voice, now);
+    } catch (e) {
+        // Note already stopped
+    }
+    activeNotes.delete(`piano_${midiNote}`);
+    recordKeyOff(midiNote, now);
+    setPianoKeyPressed(midiNote, false);
+}
+
+function setPianoKeyPressed(midiNote, pressed) {
+    const key = pianoKeys[midiNote];
+    if (key) key.classList.toggle('pressed', pressed);
+}
+
+// Move the note held by the mouse to another key, or let it go with null
+function movePointerNote(midiNote) {
+    if (midiNote === pointerNote) return;
+
+    if (pointerNote !== null) releasePianoKey(pointerNote);
+    pointerNote = midiNote;
+    if (midiNote !== null) pressPianoKey(midiNote, PIANO_VOLUME);
+}
+
+function onPianoKeyDown(event) {
+    if (!pianoKeyboardToggle.checked || event.repeat || event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.target.matches && event.target.matches('input[type="text"], input[type="number"], select, textarea')) return;
+
+    const offset = PIANO_KEYBOARD[event.code];
+    if (offset === undefined || heldComputerKeys.has(event.code)) return;
+
+    const octave = Math.max(0, Math.min(9, parseInt(pianoOctaveInput.value) || 0));
+    const midiNote = Math.min(127, (octave + 1) * 12 + offset);
+    event.preventDefault();
+    heldComputerKeys.set(event.code, midiNote);
+    pressPianoKey(midiNote, PIANO_VOLUME);
+}
+
+function onPianoKeyUp(event) {
+    const midiNote = heldComputerKeys.get(event.code);
+    if (midiNote === undefined) return;
+
+    heldComputerKeys.delete(event.code);
+    releasePianoKey(midiNote);
+}
+
+function releaseComputerKeys() {
+    for (const midiNote of heldComputerKeys.values()) {
+        releasePianoKey(midiNote);
+    }
+    heldComputerKeys.clear();
+}
+
+// Outline every grid cell that plays a note under the main scale and color mapping
+function findNotePixels(midiNote) {
+    foundNotePixels = [];
+    if (pixelData) {
+        const rawNotes = getRawNotesFor(midiNote);
+        for (let y = 0; y < gridHeight; y++) {
+            for (let x = 0; x < gridWidth; x++) {
+                const pixelIndex = (y * gridWidth + x) * 4;
+                const channels = getColorChannels(pixelData[pixelIndex], pixelData[pixelIndex + 1], pixelData[pixelIndex + 2]);
+                if (rawNotes.has(getRawNote(channels))) foundNotePixels.push({ x, y });
+            }
+        }
+    }
+
+    redrawWithActiveLines();
+    setStatus(`${midiToNoteName(midiNote)}: ${foundNotePixels.length} pixel(s) play this note.`);
+}
+
+function drawFoundNotePixels() {
+    if (foundNotePixels.length === 0) return;
+
+    const size = getPixelSize();
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 1;
+    for (const { x, y } of foundNotePixels) {
+        if (isInsideGrid(x, y)) ctx.strokeRect(x * size + 0.5, y * size + 0.5, size - 1, size - 1);
+    }
+}
+
+// Web MIDI is requested on the first Connect, since browsers ask the user for permission
+async function connectMidi() {
+    if (!navigator.requestMIDIAccess) {
+        setStatus('Web MIDI is not supported in this browser.');
+        return;
+    }
+
+    try {
+        midiAccess = midiAccess || await navigator.requestMIDIAccess();
+        midiAccess.onstatechange = updateMidiPorts;
+        updateMidiPorts();
+        setStatus(`MIDI connected: ${midiAccess.inputs.size} input(s) and ${midiAccess.outputs.size} output(s) found.`);
+    } catch (error) {
+        setStatus('Error connecting MIDI: ' + error.message);
+    }
+}
+
+// Refill the port pickers when devices come and go, keeping the chosen ports when they are still there
+function updateMidiPorts() {
+    for (const [select, ports] of [[midiInputSelect, midiAccess.inputs], [midiOutputSelect, midiAccess.outputs]]) {
+        const selected = select.value;
+        select.innerHTML = '';
+        select.appendChild(new Option('None', ''));
+        for (const port of ports.values()) {
+            select.appendChild(new Option(port.name, port.id));
+        }
+        select.value = ports.has(selected) ? selected : '';
+        select.disabled = false;
+    }
+
+    selectMidiInput();
+    selectMidiOutput();
+}
+
+function selectMidiInput() {
+    const input = midiInputSelect.value ? midiAccess.inputs.get(midiInputSelect.value) : null;
+    if (input === midiInput) return;
+
+    if (midiInput) {
+        midiInput.onmidimessage = null;
+    }
+    for (const midiNote of heldMidiNotes) {
+        releasePianoKey(midiNote);
+    }
+    heldMidiNotes.clear();
+
+    midiInput = input || null;
+    if (midiInput) {
+        midiInput.onmidimessage = onMidiMessage;
+    }
+}
+
+// Note on/off from any channel; a note on with velocity 0 counts as a note off
+function onMidiMessage(event) {
+    const [status, midiNote, velocity] = event.data;
+    const type = status & 0xF0;
+
+    if (type === 0x90 && velocity > 0) {
+        heldMidiNotes.add(midiNote);
+        pressPianoKey(midiNote, velocity / 127);
+    } else if (type === 0x80 || type === 0x90) {
+        heldMidiNotes.delete(midiNote);
+        releasePianoKey(midiNote);
+    }
+}
+
+function setupEventListeners() {
+    loadUrlBtn.addEventListener('click', () => loadImageFromUrl(imageUrlInput.value));
+    imageFileInput.addEventListener('change', () => {
+        if (imageFileInput.files[0]) loadImageFromFile(imageFileInput.files[0]);
+        imageFileInput.value = '';
+    });
+    soundfontFileInput.addEventListener('change', async () => {
+        for (const file of [...soundfontFileInput.files]) {
+            await loadSoundfont(file, true);
+        }
+        soundfontFileInput.value = '';
+    });
+    document.addEventListener('paste', onPaste);
+    captureWebcamBtn.addEventListener('click', captureFromWebcam);
+    startLiveCameraBtn.addEventListener('click', startLiveCamera);
+    liveVideoFileInput.addEventListener('change', () => {
+        if (liveVideoFileInput.files[0]) startLiveVideoFile(liveVideoFileInput.files[0]);
+        liveVideoFileInput.value = '';
+    });
+    liveFrameRateSelect.addEventListener('change', restartLiveTimer);
+    freezeLiveBtn.addEventListener('click', toggleLiveFreeze);
+    stopLiveBtn.addEventListener('click', () => {
+        stopLive();
+        setStatus('Live video stopped. Its last frame stays on the grid.');
+    });
+    motionToggle.addEventListener('change', () => {
+        if (!motionToggle.checked) motionMask = null;
+    });
+    loadSoundfontBtn.addEventListener('click', () => loadSoundfont(soundfontUrlInput.value));
+    addSoundfontBtn.addEventListener('click', () => loadSoundfont(soundfontUrlInput.value, true));
+    cancelLoadBtn.addEventListener('click', cancelSoundfontLoad);
+    loadFromLibraryBtn.addEventListener('click', () => {
+        if (!librarySelect.value.startsWith('file:')) {
+            soundfontUrlInput.value = librarySelect.value;
+        }
+        loadSoundfont(librarySelect.value);
+    });
+    deleteFromLibraryBtn.addEventListener('click', () => removeFromLibrary(librarySelect.value));
+    presetSelect.addEventListener('change', () => loadSf2Preset(parseInt(presetSelect.value)));
+    stopAllLinesBtn.addEventListener('click', () => {
+        const lines = activeLines.slice();
+        stopAllLinePlayback();
+        stopScan();
+        recordLinesRemoved(lines);
+    });
+    drawToolSelect.addEventListener('change', cancelShapeDrawing);
+    playModeSelect.addEventListener('change', () => {
+        cancelShapeDrawing();
+        updateScanMode();
+    });
+    document.addEventListener('keydown', onShapeKeyDown);
+    bpmInput.addEventListener('change', () => setBpm(parseFloat(bpmInput.value)));
+    tapTempoBtn.addEventListener('click', tapTempo);
+    swingInput.addEventListener('input', () => {
+        swingValueEl.textContent = `${swingInput.value}%`;
+    });
+    metronomeToggle.addEventListener('change', toggleMetronome);
+    recordMidiBtn.addEventListener('click', toggleMidiRecording);
+    exportMidiBtn.addEventListener('click', exportMidiFile);
+    renderWavBtn.addEventListener('click', renderLinesToWav);
+    saveSessionBtn.addEventListener('click', saveSessionFile);
+    sessionFileInput.addEventListener('change', () => {
+        if (sessionFileInput.files[0]) loadSessionFile(sessionFileInput.files[0]);
+        sessionFileInput.value = '';
+    });
+    copySessionLinkBtn.addEventListener('click', copySessionLink);
+    window.addEventListener('hashchange', loadSessionFromHash);
+
+    scaleSelect.addEventListener('change', updateScaleControls);
+    rootSelect.addEventListener('change', updateScaleKeys);
+    sclFileInput.addEventListener('change', () => {
+        if (sclFileInput.files[0]) loadSclFile(sclFileInput.files[0]);
+    });
+    kbmFileInput.addEventListener('change', () => {
+        if (kbmFileInput.files[0]) loadKbmFile(kbmFileInput.files[0]);
+    });
+    resetTuningBtn.addEventListener('click', resetTuning);
+
+    // Rebuild piano when pitch range changes
+    minPitchInput.addEventListener('change', buildPiano);
+    maxPitchInput.addEventListener('change', buildPiano);
+
+    // Resample image when resolution changes
+    for (const control of [resolutionSelect, gridWidthInput, gridHeightInput]) {
+        control.addEventListener('change', () => {
+            stopAllLinePlayback();
+            if (originalImage) {
+                resampleImage();
+            } else {
+                drawEmptyGrid();
+            }
+        });
+    }
+
+    canvas.addEventListener('mousedown', startDrag);
+    canvas.addEventListener('mousemove', onDrag);
+    canvas.addEventListener('mouseup', endDrag);
+    canvas.addEventListener('mouseleave', endDrag);
+
+    // Drag-and-drop of image and soundfont files
+    canvas.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        canvas.classList.add('drag-over');
+    });
+    canvas.addEventListener('dragleave', () => canvas.classList.remove('drag-over'));
+    canvas.addEventListener('drop', onCanvasDrop);
+
+    // Touch support
+    canvas.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        startDrag(e.touches[0]);
+    });
+    canvas.addEventListener('touchmove', (e) => {
+        e.preventDefault();
+        onDrag(e.touches[0]);
+    });
+    canvas.addEventListener('touchend', endDrag);
+
+    // Resume audio context on user interaction
+    document.addEventListener('click', () => {
+        if (audioContext && audioContext.state === 'suspended') {
+            audioContext.resume();
+        }
+    }, { once: true });
+}
+
+function drawEmptyGrid() {
+    updateGridSize();
+    ctx.fillStyle = '#0f0f23';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 0.5;
+
+    for (let i = 0; i <= gridWidth; i += 8) {
+        const pos = i * getPixelSize();
+        ctx.beginPath();
+        ctx.moveTo(pos, 0);
+        ctx.lineTo(pos, canvas.height);
+        ctx.stroke();
+    }
+    for (let i = 0; i <= gridHeight; i += 8) {
+        const pos = i * getPixelSize();
+        ctx.beginPath();
+        ctx.moveTo(0, pos);
+        ctx.lineTo(canvas.width, pos);
+        ctx.stroke();
+    }
+}
+
+// Image Loading
+// Resolves to whether the image loaded
+async function loadImageFromUrl(url) {
+    if (!url) {
+        setStatus('Please enter an image URL');
+        return false;
+    }
+
+    setStatus('Loading image...');
+
+    try {
+        const img = new Image();
+        img.crossOrigin = 'anonymous';
+
+        await new Promise((resolve, reject) => {
+            img.onload = resolve;
+            img.onerror = () => reject(new Error('Failed to load image. Try a different URL or upload a local file.'));
+            img.src = url;
+        });
+
+        processImage(img, url);
+        return true;
+    } catch (error) {
+        setStatus('Error: ' + error.message);
+        return false;
+    }
+}
+
+// Local image files skip the CORS restrictions URL loading runs into
+async function loadImageFromFile(file) {
+    if (!file.type.startsWith('image/')) {
+        setStatus(`${file.name} is not an image.`);
+        return;
+    }
+
+    setStatus('Loading image...');
+    const url = URL.createObjectURL(file);
+
+    try {
+        const img = new Image();
+        await new Promise((resolve, reject) => {
+            img.onload = resolve;
+            img.onerror = () => reject(new Error(`Could not read ${file.name || 'the image'}.`));
+            img.src = url;
+        });
+
+        processImage(img);
+    } catch (error) {
+        setStatus('Error: ' + error.message);
+    }
+
+    URL.revokeObjectURL(url);
+}
+
+// Files dropped on the grid: images replace the picture, soundfonts are added as instruments
+async function loadDroppedFiles(files) {
+    const images = files.filter(file => file.type.startsWith('image/'));
+    const soundfonts = files.filter(file => /\.(js|json|sf2)$/i.test(file.name));
+
+    if (images.length === 0 && soundfonts.length === 0) {
+        setStatus('Drop an image (PNG, JPEG, WebP, GIF, BMP) or a soundfont (.js, .json, .sf2).');
+        return;
+    }
+
+    if (images.length > 0) {
+        await loadImageFromFile(images[images.length - 1]);
+    }
+    for (const file of soundfonts) {
+        await loadSoundfont(file, true);
+    }
+}
+
+function onCanvasDrop(event) {
+    event.preventDefault();
+    canvas.classList.remove('drag-over');
+
+    const files = [...event.dataTransfer.files];
+    if (files.length > 0) {
+        loadDroppedFiles(files);
+        return;
+    }
+
+    // An image dragged from another page arrives as a URL
+    const url = event.dataTransfer.getData('text/uri-list').split('\n')[0].trim();
+    if (url) {
+        imageUrlInput.value = url;
+        loadImageFromUrl(url);
+    }
+}
+
+function onPaste(event) {
+    const item = [...event.clipboardData.items].find(item => item.type.startsWith('image/'));
+    if (!item) return;
+
+    event.preventDefault();
+    loadImageFromFile(item.getAsFile());
+}
+
+async function captureFromWebcam() {
+    setStatus('Accessing webcam...');
+
+    try {
+        // Request webcam access
+        webcamStream = await navigator.mediaDevices.getUserMedia({
+            video: { facingMode: 'environment', width: { ideal: 640 }, height: { ideal: 480 } }
+        });
+
+        // Create video element
+        const video = document.createElement('video');
+        video.srcObject = webcamStream;
+        video.setAttribute('playsinline', true);
+
+        await new Promise((resolve) => {
+            video.onloadedmetadata = () => {
+                video.play();
+                resolve();
+            };
+        });
+
+        // Wait a moment for the camera to adjust
+        setStatus('Camera ready - capturing in 1 second...');
+        await new Promise(resolve => setTimeout(resolve, 1000));
+
+        // Capture frame to canvas
+        const tempCanvas = document.createElement('canvas');
+        tempCanvas.width = video.videoWidth;
+        tempCanvas.height = video.videoHeight;
+        const tempCtx = tempCanvas.getContext('2d');
+        tempCtx.drawImage(video, 0, 0);
+
+        // Stop the webcam stream
+        webcamStream.getTracks().forEach(track => track.stop());
+        webcamStream = null;
+
+        // Create image from canvas
+        const img = new Image();
+        img.onload = () => processImage(img);
+        img.src = tempCanvas.toDataURL('image/png');
+
+    } catch (error) {
+        if (webcamStream) {
+            webcamStream.getTracks().forEach(track => track.stop());
+            webcamStream = null;
+        }
+
+        setStatus(getWebcamErrorMessage(error));
+    }
+}
+
+function getWebcamErrorMessage(error) {
+    if (error.name === 'NotAllowedError') {
+        return 'Webcam access denied. Please allow camera access and try again.';
+    } else if (error.name === 'NotFoundError') {
+        return 'No webcam found. Please connect a camera and try again.';
+    }
+    return 'Error accessing webcam: ' + error.message;
+}
+
+// Live Video
+// The camera or a video file keeps running and is resampled into pixelData at the chosen frame
+// rate, so lines play whatever is in the frame. Motion mode only sounds pixels that changed.
+let live = { video: null, stream: null, url: null, timer: null, frozen: false, previousFrame: null };
+let motionMask = null;  // 1 for each grid cell that changed since the last frame; null plays every cell
+
+async function startLiveCamera() {
+    setStatus('Accessing webcam...');
+    let stream = null;
+
+    try {
+        stream = await navigator.mediaDevices.getUserMedia({
+            video: { facingMode: 'environment', width: { ideal: 640 }, height: { ideal: 480 } }
+        });
+        const video = createLiveVideo();
+        video.srcObject = stream;
+        await startLive(video, { stream });
+        setStatus('Live camera running. Lines play whatever is in front of it.');
+    } catch (error) {
+        if (stream && live.stream !== stream) {
+            stream.getTracks().forEach(track => track.stop());
+        }
+        setStatus(getWebcamErrorMessage(error));
+    }
+}
+
+async function startLiveVideoFile(file) {
+    const url = URL.createObjectURL(file);
+    try {
+        const video = createLiveVideo();
+        video.loop = true;
+        video.src = url;
+        await startLive(video, { url });
+        setStatus(`Playing ${file.name} live. Lines play whatever is in the frame.`);
+    } catch (error) {
+        URL.revokeObjectURL(url);
+        setStatus('Error playing video: ' + error.message);
+    }
+}
+
+function createLiveVideo() {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.setAttribute('playsinline', true);
+    return video;
+}
+
+async function startLive(video, { stream = null, url = null }) {
+    await new Promise((resolve, reject) => {
+        video.onloadeddata = resolve;
+        video.onerror = () => reject(new Error('Could not read the video.'));
+    });
+    await video.play();
+
+    // Shown like any new image, so switching to the video can be undone
+    processImage(video);
+    live = { video, stream, url, timer: null, frozen: false, previousFrame: null };
+    restartLiveTimer();
+    updateLiveControls();
+}
+
+// Stop the camera or video, keeping its last frame as a still image
+function stopLive() {
+    if (!live.video) return;
+
+    const frame = document.createElement('canvas');
+    frame.width = live.video.videoWidth;
+    frame.height = live.video.videoHeight;
+    frame.getContext('2d').drawImage(live.video, 0, 0);
+    if (originalImage === live.video) {
+        originalImage = frame;
+    }
+
+    clearInterval(live.timer);
+    live.video.pause();
+    if (live.stream) {
+        live.stream.getTracks().forEach(track => track.stop());
+    }
+    if (live.url) {
+        URL.revokeObjectURL(live.url);
+    }
+
+    live = { video: null, stream: null, url: null, timer: null, frozen: false, previousFrame: null };
+    motionMask = null;
+    updateLiveControls();
+}
+
+function getLiveFrameRate() {
+    return parseFloat(liveFrameRateSelect.value) || 10;
+}
+
+function restartLiveTimer() {
+    clearInterval(live.timer);
+    live.timer = live.video ? setInterval(refreshLiveFrame, 1000 / getLiveFrameRate()) : null;
+}
+
+function refreshLiveFrame() {
+    if (!live.video || live.frozen) return;
+
+    resampleImage(true);
+    updateMotionMask();
+    redrawWithActiveLines();
+}
+
+function toggleLiveFreeze() {
+    live.frozen = !live.frozen;
+    updateLiveControls();
+    setStatus(live.frozen ? 'Frame frozen. Lines keep playing it.' : 'Live again.');
+}
+
+function updateLiveControls() {
+    freezeLiveBtn.disabled = !live.video;
+    stopLiveBtn.disabled = !live.video;
+    freezeLiveBtn.textContent = live.frozen ? 'Unfreeze' : 'Freeze';
+}
+
+function getMotionThreshold() {
+    return Math.max(1, Math.min(255, parseInt(motionThresholdInput.value) || 24));
+}
+
+// Frame differencing: a cell moved when its color changed by more than the threshold
+// (average over R, G and B) since the previous frame
+function updateMotionMask() {
+    const previous = live.previousFrame;
+    live.previousFrame = pixelData;
+
+    if (!motionToggle.checked) {
+        motionMask = null;
+        return;
+    }
+
+    const cellCount = pixelData.length / 4;
+    motionMask = new Uint8Array(cellCount);
+    if (!previous || previous.length !== pixelData.length) return;
+
+    const threshold = getMotionThreshold() * 3;
+    for (let cell = 0; cell < cellCount; cell++) {
+        const i = cell * 4;
+        const change = Math.abs(pixelData[i] - previous[i]) +
+            Math.abs(pixelData[i + 1] - previous[i + 1]) +
+            Math.abs(pixelData[i + 2] - previous[i + 2]);
+        motionMask[cell] = change > threshold ? 1 : 0;
+    }
+}
+
+// Whether a cell may sound: always, unless motion mode is on and it stayed still
+function isMotionAt(x, y) {
+    if (!motionMask || motionMask.length !== gridWidth * gridHeight) return true;
+    return motionMask[y * gridWidth + x] === 1;
+}
+
+function processImage(img, source = null) {
+    stopLive();
+    const previous = { image: originalImage, source: imageSource };
+
+    // Store the original image for resampling later
+    originalImage = img;
+    imageSource = source;
+    const removedLines = resampleImage();
+
+    // Undoing the change also brings back lines a change of grid size removed. A live video has
+    // stopped by then, so redoing it brings back its last frame as a still image.
+    if (previous.image) {
+        let shown = img;
+        recordHistory({
+            label: 'image change',
+            undo: () => {
+                stopLive();
+                if (img.tagName === 'VIDEO') shown = originalImage;
+                processImage(previous.image, previous.source);
+                removedLines.forEach(restoreLine);
+            },
+            redo: () => processImage(shown, source)
+        });
+    } else {
+        recordLinesRemoved(removedLines);
+    }
+}
+
+// Refreshes (live frames, preprocessing tweaks) only replace pixelData and keep the grid's size; the
+// caller draws it with the lines, so each frame is drawn once. A new image is drawn here, resets the
+// status and restarts a scan, and when the grid follows the image's shape it can change size: lines
+// drawn for the old size are stopped and returned, for the caller's history.
+function resampleImage(isRefresh = false) {
+    if (!originalImage) return [];
+
+    let removedLines = [];
+    if (!isRefresh && updateGridSize() && activeLines.length > 0) {
+        removedLines = activeLines.slice();
+        stopAllLinePlayback();
+    }
+
+    // Create temporary canvas to frame the image into the grid
+    const tempCanvas = document.createElement('canvas');
+    tempCanvas.width = gridWidth;
+    tempCanvas.height = gridHeight;
+    const tempCtx = tempCanvas.getContext('2d');
+    drawImageToGrid(tempCtx, originalImage, gridWidth, gridHeight);
+
+    // Get pixel data - copy to a new array to avoid reference issues - and run the filters on it
+    const imageData = tempCtx.getImageData(0, 0, gridWidth, gridHeight);
+    pixelData = preprocessPixels(new Uint8ClampedArray(imageData.data), gridWidth, gridHeight);
+
+    if (isRefresh) return removedLines;
+
+    // Clear and draw to main canvas (scaled up)
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    redrawImage();
+
+    setStatus(`Image loaded at ${gridWidth}x${gridHeight}. Draw lines to play!`);
+
+    if (playModeSelect.value === 'scan') {
+        startScan();
+    }
+    return removedLines;
+}
+
+// Image Preprocessing
+// Runs between the source image and pixelData: framing (fit mode, crop and rotation) while the image
+// is drawn into the grid, then color adjustments, blur, edge detection, posterize and palette reduction
+const PRIMARY_PALETTE = [
+    [0, 0, 0], [255, 255, 255], [255, 0, 0], [0, 255, 0],
+    [0, 0, 255], [0, 255, 255], [255, 0, 255], [255, 255, 0]
+];
+const KMEANS_ITERATIONS = 8;
+
+// Preprocessing controls with their default values
+function getPreprocessControls() {
+    return [
+        [fitModeSelect, 'stretch'],
+        [rotationSelect, '0'],
+        [cropZoomInput, '100'],
+        [cropXInput, '50'],
+        [cropYInput, '50'],
+        [brightnessInput, '0'],
+        [contrastInput, '0'],
+        [saturationInput, '0'],
+        [blurInput, '0'],
+        [edgesToggle, false],
+        [posterizeInput, '0'],
+        [paletteSelect, 'full'],
+        [paletteColorsInput, '8']
+    ];
+}
+
+function setupPreprocessingControls() {
+    for (const [control] of getPreprocessControls()) {
+        control.addEventListener('input', updatePreprocessing);
+    }
+    resetPreprocessingBtn.addEventListener('click', () => {
+        resetPreprocessControls();
+        updatePreprocessing();
+    });
+}
+
+// Put every preprocessing control back to its default, without resampling
+function resetPreprocessControls() {
+    setPreprocessValues(getPreprocessControls().map(([, value]) => value));
+}
+
+function getPreprocessValues() {
+    return getPreprocessControls().map(([control]) => control.type === 'checkbox' ? control.checked : control.value);
+}
+
+function setPreprocessValues(values) {
+    getPreprocessControls().forEach(([control], i) => {
+        if (control.type === 'checkbox') {
+            control.checked = values[i];
+        } else {
+            control.value = values[i];
+        }
+    });
+}
+
+// Preview a change on the grid without interrupting lines or a scan, unless it resizes the grid
+function updatePreprocessing() {
+    if (!originalImage) return;
+
+    // A quarter turn swaps the sides of a grid that follows the image's shape. That resizes it like a
+    // new image does, so undoing the turn also brings back the lines drawn for the old size.
+    const isTurned = rotation => (parseInt(rotation) || 0) % 180 !== 0;
+    if (resolutionSelect.value.startsWith('image:') && isTurned(rotationSelect.value) !== isTurned(gridRotation)) {
+        const previous = gridRotation;
+        const value = rotationSelect.value;
+        const removedLines = resampleImage();
+        recordHistory({
+            label: 'rotation change',
+            undo: () => {
+                setControlValue(rotationSelect, previous);
+                removedLines.forEach(restoreLine);
+            },
+            redo: () => setControlValue(rotationSelect, value)
+        });
+    } else {
+        resampleImage(true);
+    }
+    redrawWithActiveLines();
+}
+
+// Clamped value of a number input; an empty one counts as `fallback`
+function getPreprocessNumber(input, min, max, fallback = min) {
+    const value = parseFloat(input.value);
+    return Number.isNaN(value) ? fallback : Math.max(min, Math.min(max, value));
+}
+
+// Width over height of the image once rotated
+function getFramedAspect(image) {
+    const { width, height } = getSourceSize(image);
+    const turned = (parseInt(rotationSelect.value) || 0) % 180 !== 0;
+    return turned ? height / width : width / height;
+}
+
+function getSourceSize(image) {
+    return {
+        width: image.naturalWidth || image.videoWidth || image.width,
+        height: image.naturalHeight || image.videoHeight || image.height
+    };
+}
+
+// Draw the image into a width x height grid: crop a zoomed window (moved by the X/Y offsets),
+// rotate it, then stretch it, fit it inside (letterboxed in black) or fill the grid with it
+function drawImageToGrid(targetCtx, image, width, height) {
+    const source = getSourceSize(image);
+    const zoom = getPreprocessNumber(cropZoomInput, 100, 400) / 100;
+    const cropWidth = source.width / zoom;
+    const cropHeight = source.height / zoom;
+    const cropX = (source.width - cropWidth) * getPreprocessNumber(cropXInput, 0, 100, 50) / 100;
+    const cropY = (source.height - cropHeight) * getPreprocessNumber(cropYInput, 0, 100, 50) / 100;
+
+    const rotation = parseInt(rotationSelect.value) || 0;
+    const turned = rotation % 180 !== 0;
+    const rotatedWidth = turned ? cropHeight : cropWidth;
+    const rotatedHeight = turned ? cropWidth : cropHeight;
+
+    let drawWidth = width;
+    let drawHeight = height;
+    if (fitModeSelect.value !== 'stretch') {
+        const fit = fitModeSelect.value === 'fit' ? Math.min : Math.max;
+        const scale = fit(width / rotatedWidth, height / rotatedHeight);
+        drawWidth = rotatedWidth * scale;
+        drawHeight = rotatedHeight * scale;
+    }
+
+    targetCtx.fillStyle = '#000';
+    targetCtx.fillRect(0, 0, width, height);
+    targetCtx.save();
+    targetCtx.translate(width / 2, height / 2);
+    targetCtx.rotate(rotation * Math.PI / 180);
+    // Inside the rotated frame the image is drawn unrotated, so a quarter turn swaps its sides
+    const w = turned ? drawHeight : drawWidth;
+    const h = turned ? drawWidth : drawHeight;
+    targetCtx.drawImage(image, cropX, cropY, cropWidth, cropHeight, -w / 2, -h / 2, w, h);
+    targetCtx.restore();
+}
+
+// Run the pixel filters on RGBA data, returning the processed data
+function preprocessPixels(data, width, height) {
+    adjustColors(data,
+        getPreprocessNumber(brightnessInput, -100, 100, 0),
+        getPreprocessNumber(contrastInput, -100, 100, 0),
+        getPreprocessNumber(saturationInput, -100, 100, 0));
+
+    const blurRadius = Math.round(getPreprocessNumber(blurInput, 0, 5));
+    if (blurRadius > 0) {
+        data = boxBlur(data, width, height, blurRadius);
+    }
+    if (edgesToggle.checked) {
+        data = detectEdges(data, width, height);
+    }
+
+    const levels = Math.round(getPreprocessNumber(posterizeInput, 0, 16));
+    if (levels >= 2) {
+        posterize(data, levels);
+    }
+
+    const colors = Math.round(getPreprocessNumber(paletteColorsInput, 2, 32));
+    if (paletteSelect.value === 'primaries') {
+        mapToPalette(data, PRIMARY_PALETTE);
+    } else if (paletteSelect.value === 'grayscale') {
+        mapToPalette(data, Array.from({ length: colors }, (_, i) => {
+            const level = Math.round(i * 255 / (colors - 1));
+            return [level, level, level];
+        }));
+    } else if (paletteSelect.value === 'kmeans') {
+        mapToPalette(data, findKMeansPalette(data, colors));
+    }
+
+    return data;
+}
+
+// Brightness, contrast and saturation, each -100 to 100 with 0 leaving the image alone
+function adjustColors(data, brightness, contrast, saturation) {
+    if (brightness === 0 && contrast === 0 && saturation === 0) return;
+
+    const offset = brightness * 2.55;
+    const c = contrast * 2.55;
+    const contrastFactor = (259 * (c + 255)) / (255 * (259 - c));
+    const saturationFactor = 1 + saturation / 100;
+
+    for (let i = 0; i < data.length; i += 4) {
+        const rgb = [data[i], data[i + 1], data[i + 2]].map(value => contrastFactor * (value + offset - 128) + 128);
+        const gray = getLuminance(rgb[0], rgb[1], rgb[2]);
+        for (let channel = 0; channel < 3; channel++) {
+            data[i + channel] = gray + (rgb[channel] - gray) * saturationFactor;
+        }
+    }
+}
+
+// Box blur, one horizontal and one vertical pass
+function boxBlur(data, width, height, radius) {
+    const pass = (input, dx, dy) => {
+        const output = new Uint8ClampedArray(input);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const sums = [0, 0, 0];
+                let count = 0;
+                for (let offset = -radius; offset <= radius; offset++) {
+                    const sx = x + offset * dx;
+                    const sy = y + offset * dy;
+                    if (sx < 0 || sx >= width || sy < 0 || sy >= height) continue;
+                    const i = (sy * width + sx) * 4;
+                    sums[0] += input[i];
+                    sums[1] += input[i + 1];
+                    sums[2] += input[i + 2];
+                    count++;
+                }
+                const o = (y * width + x) * 4;
+                output[o] = sums[0] / count;
+                output[o + 1] = sums[1] / count;
+                output[o + 2] = sums[2] / count;
+            }
+        }
+        return output;
+    };
+    return pass(pass(data, 1, 0), 0, 1);
+}
+
+// Sobel edge detection: flat areas go black and edges keep their color, brightest at the strongest edge
+function detectEdges(data, width, height) {
+    const luminance = new Float32Array(width * height);
+    for (let i = 0; i < luminance.length; i++) {
+        luminance[i] = getLuminance(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+    }
+    const at = (x, y) => luminance[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+
+    const magnitudes = new Float32Array(width * height);
+    let strongest = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const gx = at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1) - at(x - 1, y - 1) - 2 * at(x - 1, y) - at(x - 1, y + 1);
+            const gy = at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1) - at(x - 1, y - 1) - 2 * at(x, y - 1) - at(x + 1, y - 1);
+            magnitudes[y * width + x] = Math.hypot(gx, gy);
+            strongest = Math.max(strongest, magnitudes[y * width + x]);
+        }
+    }
+
+    const output = new Uint8ClampedArray(data);
+    for (let i = 0; i < magnitudes.length; i++) {
+        const strength = strongest > 0 ? magnitudes[i] / strongest : 0;
+        output[i * 4] = data[i * 4] * strength;
+        output[i * 4 + 1] = data[i * 4 + 1] * strength;
+        output[i * 4 + 2] = data[i * 4 + 2] * strength;
+    }
+    return output;
+}
+
+// Reduce each channel to a number of evenly spaced levels
+function posterize(data, levels) {
+    const step = 255 / (levels - 1);
+    for (let i = 0; i < data.length; i++) {
+        if (i % 4 === 3) continue;
+        data[i] = Math.round(data[i] / step) * step;
+    }
+}
+
+function findNearestColor(palette, r, g, b) {
+    let nearest = 0;
+    let nearestDistance = Infinity;
+    palette.forEach(([pr, pg, pb], index) => {
+        const distance = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+        if (distance < nearestDistance) {
+            nearest = index;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+}
+
+function mapToPalette(data, palette) {
+    for (let i = 0; i < data.length; i += 4) {
+        const [r, g, b] = palette[findNearestColor(palette, data[i], data[i + 1], data[i + 2])];
+        data[i] = r;
+        data[i + 1] = g;
+        data[i + 2] = b;
+    }
+}
+
+// The k colors that best summarize the image (k-means in RGB). Centers start at luminance
+// quantiles rather than at random, so successive live frames settle on similar palettes.
+function findKMeansPalette(data, k) {
+    const count = data.length / 4;
+    const brightnessOrder = Array.from({ length: count }, (_, i) => i)
+        .sort((a, b) => getLuminance(data[a * 4], data[a * 4 + 1], data[a * 4 + 2]) - getLuminance(data[b * 4], data[b * 4 + 1], data[b * 4 + 2]));
+    let centers = Array.from({ length: k }, (_, j) => {
+        const i = brightnessOrder[Math.floor((j + 0.5) * count / k)] * 4;
+        return [data[i], data[i + 1], data[i + 2]];
+    });
+
+    for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+        const sums = centers.map(() => [0, 0, 0, 0]);
+        for (let i = 0; i < data.length; i += 4) {
+            const sum = sums[findNearestColor(centers, data[i], data[i + 1], data[i + 2])];
+            sum[0] += data[i];
+            sum[1] += data[i + 1];
+            sum[2] += data[i + 2];
+            sum[3]++;
+        }
+
+        // Centers that lost all their pixels stay where they were
+        const next = centers.map((center, j) => sums[j][3] > 0 ? sums[j].slice(0, 3).map(sum => Math.round(sum / sums[j][3])) : center);
+        const settled = next.every((center, j) => center.every((value, channel) => value === centers[j][channel]));
+        centers = next;
+        if (settled) break;
+    }
+
+    return centers;
+}
+
+// SoundFont Loading
+// Load a soundfont from a URL or a local File. Load replaces the selected instrument;
+// asNewInstrument adds one alongside the others
+async function loadSoundfont(source, asNewInstrument = false) {
+    if (!source) {
+        setStatus('Please enter a SoundFont URL');
+        return;
+    }
+    if (isLoading) {
+        setStatus('A SoundFont is already loading. Cancel it first.');
+        return;
+    }
+
+    setStatus('Loading SoundFont...');
+    isLoading = true;
+    let finish;
+    const load = { cancelled: false, controller: new AbortController(), finished: new Promise(resolve => { finish = resolve; }) };
+    currentLoad = load;
+    showFailedNotes([]);
+
+    // Cancel is offered from the start, since a download or an .sf2 file can take a while before any
+    // notes decode; the bar stays indeterminate until then
+    loadProgressGroup.hidden = false;
+    loadProgressBar.removeAttribute('value');
+    loadProgressText.textContent = '';
+
+    // Local files are kept in the library under their file name
+    const isFile = typeof source !== 'string';
+    const url = isFile ? `file:${source.name}` : source;
+
+    try {
+        // The library keeps the raw file, so cached soundfonts skip the network entirely
+        const cached = isFile ? undefined : await getLibraryEntry(url).catch(() => undefined);
+        let arrayBuffer;
+        if (cached) {
+            arrayBuffer = cached.data;
+        } else if (isFile) {
+            arrayBuffer = await source.arrayBuffer();
+        } else {
+            const response = await fetch(url, { signal: load.controller.signal });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            arrayBuffer = await response.arrayBuffer();
+        }
+        if (load.cancelled) {
+            throw new Error('Load cancelled');
+        }
+
+        let name;
+        let format;
+        let failed = [];
+        let playable = true;  // A font none of whose notes decoded isn't kept in the library
+
+        if (isSf2Data(arrayBuffer)) {
+            // Native SoundFont 2 file
+            const sf2 = parseSf2(arrayBuffer);
+            name = sf2.name;
+            format = 'sf2';
+            storeInstrument({ name: sf2.name, url, zones: [], sf2, presetIndex: null }, asNewInstrument);
+            populatePresetSelect();
+            loadSf2Preset(parseInt(presetSelect.value));
+        } else {
+            const { data, instrumentName } = parseMidiJsSoundfont(new TextDecoder().decode(arrayBuffer), url);
+            const result = await loadSoundfontData(data, load);
+            name = instrumentName;
+            format = 'midijs';
+            failed = result.failed;
+            playable = result.zones.length > 0;
+            storeInstrument({ name, url, zones: result.zones, sf2: null, presetIndex: null }, asNewInstrument);
+            populatePresetSelect();
+
+            const failures = failed.length > 0 ? ` ${failed.length} note(s) failed to load.` : '';
+            setStatus(`Loaded ${name}${cached ? ' from the library' : ''}!${failures} Drag mouse over pixels to play.`);
+        }
+
+        showFailedNotes(failed);
+        if (!cached && playable) {
+            try {
+                await saveLibraryEntry({ url, name, format, data: arrayBuffer, size: arrayBuffer.byteLength, savedAt: Date.now() });
+                refreshLibrary();
+            } catch (error) {
+                setStatus(`Loaded ${name}, but it couldn't be saved to the instrument library: ${error.message}`);
+            }
+        }
+    } catch (error) {
+        if (load.cancelled) {
+            setStatus('SoundFont load cancelled.');
+        } else {
+            const fallback = instruments.length > 0 ? 'Keeping the loaded instruments' : 'Using the built-in synth';
+            setStatus('Error loading SoundFont: ' + error.message + '. ' + fallback + '.');
+        }
+    }
+
+    loadProgressGroup.hidden = true;
+    currentLoad = null;
+    isLoading = false;
+    finish();
+}
+
+// MIDI.js soundfonts come as a .js file (MIDI.Soundfont.name = {...}) or as plain JSON mapping
+// note names to data URIs; either way the result is { data, instrumentName }
+function parseMidiJsSoundfont(text, url) {
+    const match = text.match(/MIDI\.Soundfont\.(\w+)\s*=\s*({[\s\S]*})/);
+    if (match) {
+        // Convert single quotes to double quotes for JSON parsing
+        let jsonStr = match[2]
+            .replace(/'/g, '"')  // Replace single quotes with double quotes
+            .replace(/,\s*}/g, '}');  // Remove trailing commas
+        return { data: JSON.parse(jsonStr), instrumentName: match[1].replace(/_/g, ' ') };
+    }
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Invalid SoundFont format');
+    }
+    if (!data || typeof data !== 'object') {
+        throw new Error('Invalid SoundFont format');
+    }
+
+    // Name it after the file, e.g. ".../violin-mp3.json" -> "violin"
+    const fileName = url.split(/[/:]/).pop();
+    return { data, instrumentName: fileName.replace(/(-mp3|-ogg)?\.\w+$/, '').replace(/_/g, ' ') };
+}
+
+function cancelSoundfontLoad() {
+    if (!currentLoad) return;
+
+    currentLoad.cancelled = true;
+    currentLoad.controller.abort();
+}
+
+// Decode a MIDI.js soundfont's notes, a few at a time, into zones plus a list of notes that failed
+async function loadSoundfontData(data, load = { cancelled: false, controller: new AbortController() }) {
+    const notes = Object.entries(data).filter(([note]) => noteNameToMidi(note) !== null);
+    const zones = [];
+    const failed = [];
+    let done = 0;
+
+    showLoadProgress(0, notes.length);
+
+    const queue = notes.slice();
+    const decodeNext = async () => {
+        while (queue.length > 0 && !load.cancelled) {
+            const [note, dataUri] = queue.shift();
+            const midiNote = noteNameToMidi(note);
+
+            try {
+                const response = await fetch(dataUri, { signal: load.controller.signal });
+                const arrayBuffer = await response.arrayBuffer();
+                const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+                // MIDI.js has one recording per note, so each zone covers a single key
+                zones.push(createSampleZone(audioBuffer, midiNote, midiNote, midiNote));
+            } catch (e) {
+                failed.push({ note, message: e.message || String(e) });
+            }
+
+            showLoadProgress(++done, notes.length);
+        }
+    };
+    await Promise.all(Array.from({ length: DECODE_CONCURRENCY }, decodeNext));
+
+    if (load.cancelled) {
+        throw new Error('Load cancelled');
+    }
+
+    // Decodes finish out of order; keep zones and failures in key order
+    zones.sort((a, b) => a.rootKey - b.rootKey);
+    failed.sort((a, b) => noteNameToMidi(a.note) - noteNameToMidi(b.note));
+    return { zones, failed };
+}
+
+function showLoadProgress(done, total) {
+    loadProgressGroup.hidden = false;
+    loadProgressBar.max = Math.max(1, total);
+    loadProgressBar.value = done;
+    loadProgressText.textContent = `${done}/${total} notes`;
+}
+
+function showFailedNotes(failed) {
+    failedNotesEl.innerHTML = '';
+    failedNotesEl.hidden = failed.length === 0;
+
+    for (const { note, message } of failed) {
+        const item = document.createElement('li');
+        item.textContent = `${note}: ${message}`;
+        failedNotesEl.appendChild(item);
+    }
+}
+
+// Instrument Library
+// Fetched soundfonts are stored in IndexedDB (raw file plus metadata) so they load instantly and offline
+const LIBRARY_DB_NAME = 'pixel-player';
+const LIBRARY_STORE = 'soundfonts';
+
+function openLibrary() {
+    if (!libraryDb) {
+        libraryDb = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(LIBRARY_DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(LIBRARY_STORE, { keyPath: 'url' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return libraryDb;
+}
+
+// Run one request on the library store; resolves undefined when IndexedDB isn't available, and
+// rejects when the library can't be opened or the request fails
+async function libraryRequest(mode, makeRequest) {
+    const db = await openLibrary();
+    if (!db) return undefined;
+
+    return new Promise((resolve, reject) => {
+        const request = makeRequest(db.transaction(LIBRARY_STORE, mode).objectStore(LIBRARY_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function getLibraryEntry(url) {
+    return libraryRequest('readonly', store => store.get(url));
+}
+
+function saveLibraryEntry(entry) {
+    return libraryRequest('readwrite', store => store.put(entry));
+}
+
+function deleteLibraryEntry(url) {
+    return libraryRequest('readwrite', store => store.delete(url));
+}
+
+async function refreshLibrary() {
+    let entries = [];
+    try {
+        entries = (await libraryRequest('readonly', store => store.getAll())) || [];
+    } catch (error) {
+        setStatus('Error reading the instrument library: ' + error.message);
+    }
+
+    librarySelect.innerHTML = '';
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+        const size = (entry.size / (1024 * 1024)).toFixed(1);
+        librarySelect.appendChild(new Option(`${entry.name} (${entry.format === 'sf2' ? '.sf2' : 'MIDI.js'}, ${size} MB)`, entry.url));
+    }
+    libraryGroup.hidden = entries.length === 0;
+}
+
+async function removeFromLibrary(url) {
+    if (!url) return;
+
+    try {
+        await deleteLibraryEntry(url);
+        setStatus('Removed from the instrument library.');
+    } catch (error) {
+        setStatus('Error removing from library: ' + error.message);
+    }
+    refreshLibrary();
+}
+
+// Instruments
+const INSTRUMENT_COLORS = ['#00ff88', '#ffaa00', '#44aaff', '#ff44cc', '#ffee44', '#aa66ff', '#ff6644', '#44ffee'];
+
+// Instrument a note plays with: 'global' is the first loaded instrument, unless the synth is
+// set as the default; 'synth' (or nothing loaded) is null, meaning the built-in synth
+function getInstrument(key = 'global') {
+    if (key === 'synth' || (key === 'global' && synthDefaultToggle.checked)) return null;
+    return instruments.find(instrument => String(instrument.id) === String(key)) || instruments[0] || null;
+}
+
+function getInstrumentName(key) {
+    const instrument = getInstrument(key);
+    return instrument ? instrument.name : `Synth (${SYNTH_PRESETS[synthPatch.preset].name})`;
+}
+
+function getInstrumentColor(key) {
+    const instrument = getInstrument(key);
+    return instrument && instruments.length > 1 ? instrument.color : null;
+}
+
+function getSelectedInstrument() {
+    return instruments.find(instrument => instrument.id === selectedInstrumentId) || null;
+}
+
+// Put a freshly loaded instrument in the list, replacing the selected one unless asked to add it
+function storeInstrument(instrument, asNew) {
+    stopAllNotes();
+
+    const existing = asNew ? null : getSelectedInstrument() || instruments[0];
+    if (existing) {
+        // With nothing selected this replaces the first instrument, which then becomes the selection
+        Object.assign(existing, instrument);
+        selectedInstrumentId = existing.id;
+    } else {
+        const id = nextInstrumentId++;
+        instruments.push({ ...instrument, id, color: INSTRUMENT_COLORS[id % INSTRUMENT_COLORS.length], envelope: { ...DEFAULT_ENVELOPE } });
+        selectedInstrumentId = id;
+    }
+
+    renderInstrumentList();
+}
+
+function selectInstrument(id) {
+    selectedInstrumentId = id;
+    populatePresetSelect();
+    renderInstrumentList();
+}
+
+function removeInstrument(id) {
+    stopAllNotes();
+    instruments = instruments.filter(instrument => instrument.id !== id);
+
+    // Lines that used it go back to the default instrument
+    for (const line of activeLines) {
+        if (String(line.settings.instrument) === String(id)) {
+            line.settings.instrument = 'global';
+        }
+    }
+
+    if (selectedInstrumentId === id) {
+        selectedInstrumentId = instruments.length > 0 ? instruments[0].id : null;
+        populatePresetSelect();
+    }
+
+    renderInstrumentList();
+}
+
+function renderInstrumentList() {
+    instrumentListEl.innerHTML = '';
+
+    for (const instrument of instruments) {
+        const item = document.createElement('li');
+        item.className = `instrument-item${instrument.id === selectedInstrumentId ? ' selected' : ''}`;
+        item.addEventListener('click', () => selectInstrument(instrument.id));
+
+        const swatch = document.createElement('span');
+        swatch.className = 'swatch';
+        swatch.style.background = instrument.color;
+
+        const name = document.createElement('span');
+        name.className = 'name';
+        name.textContent = instrument.name + (instrument.zones.length === 0 ? ' (no samples)' : '');
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.textContent = '\u00d7';
+        deleteBtn.title = 'Remove instrument';
+        deleteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            removeInstrument(instrument.id);
+        });
+
+        item.append(swatch, name, deleteBtn);
+        instrumentListEl.appendChild(item);
+    }
+
+    updateLineInstrumentOptions();
+    updateEnvelopeInstrumentOptions();
+}
+
+// Name of a MIDI note number, such as 'Eb4'
+function midiToNoteName(midiNote) {
+    const noteNames = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+    return noteNames[midiNote % 12] + (Math.floor(midiNote / 12) - 1);
+}
+
+// Convert a MIDI.js note name such as 'Eb4' to a MIDI note number
+function noteNameToMidi(name) {
+    const noteNames = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+    const match = name.match(/^([A-G]b?)(-?\d+)$/);
+    if (!match) return null;
+
+    const noteIndex = noteNames.indexOf(match[1]);
+    if (noteIndex === -1) return null;
+
+    return (parseInt(match[2]) + 1) * 12 + noteIndex;
+}
+
+// A sample zone plays one buffer over a key/velocity range, repitched from its root key
+function createSampleZone(buffer, keyLo, keyHi, rootKey, options = {}) {
+    return {
+        buffer,
+        keyLo,
+        keyHi,
+        velLo: options.velLo ?? 0,
+        velHi: options.velHi ?? 127,
+        rootKey,
+        tune: options.tune ?? 0,               // Fine tuning in cents
+        scaleTuning: options.scaleTuning ?? 100,  // Cents per key
+        gain: options.gain ?? 1,
+        loop: options.loop ?? false,
+        loopStart: options.loopStart ?? 0,     // Seconds from buffer start
+        loopEnd: options.loopEnd ?? 0
+    };
+}
+
+// SoundFont 2 (.sf2) Parsing
+// Generator operators used when building zones (SoundFont 2.04 spec, section 8.1.2)
+const SF2_GEN = {
+    startAddrsOffset: 0,
+    endAddrsOffset: 1,
+    startloopAddrsOffset: 2,
+    endloopAddrsOffset: 3,
+    startAddrsCoarseOffset: 4,
+    endAddrsCoarseOffset: 12,
+    instrument: 41,
+    keyRange: 43,
+    velRange: 44,
+    startloopAddrsCoarseOffset: 45,
+    initialAttenuation: 48,
+    endloopAddrsCoarseOffset: 50,
+    coarseTune: 51,
+    fineTune: 52,
+    sampleID: 53,
+    sampleModes: 54,
+    scaleTuning: 56,
+    overridingRootKey: 58
+};
+
+function isSf2Data(arrayBuffer) {
+    if (arrayBuffer.byteLength < 12) return false;
+    const view = new DataView(arrayBuffer);
+    return readFourCC(view, 0) === 'RIFF' && readFourCC(view, 8) === 'sfbk';
+}
+
+function readFourCC(view, offset) {
+    let id = '';
+    for (let i = 0; i < 4; i++) {
+        id += String.fromCharCode(view.getUint8(offset + i));
+    }
+    return id;
+}
+
+// Read a fixed-length, zero-padded ASCII string
+function readFixedString(view, offset, length) {
+    let str = '';
+    for (let i = 0; i < length; i++) {
+        const code = view.getUint8(offset + i);
+        if (code === 0) break;
+        str += String.fromCharCode(code);
+    }
+    return str.trim();
+}
+
+// Walk RIFF chunks between start and end; LIST chunks are nested by their list type
+function readRiffChunks(view, start, end) {
+    const chunks = {};
+    let offset = start;
+
+    while (offset + 8 <= end) {
+        const id = readFourCC(view, offset);
+        const size = view.getUint32(offset + 4, true);
+        const dataStart = offset + 8;
+        const dataEnd = Math.min(dataStart + size, end);
+
+        if (id === 'LIST') {
+            chunks[readFourCC(view, dataStart)] = readRiffChunks(view, dataStart + 4, dataEnd);
+        } else {
+            chunks[id] = { offset: dataStart, size: dataEnd - dataStart };
+        }
+
+        // Chunks are padded to an even number of bytes
+        offset = dataStart + size + (size % 2);
+    }
+
+    return chunks;
+}
+
+// Read fixed-size records from a chunk
+function readSf2Records(view, chunk, recordSize, readRecord) {
+    if (!chunk) throw new Error('Missing SoundFont preset data');
+
+    const records = [];
+    const count = Math.floor(chunk.size / recordSize);
+    for (let i = 0; i < count; i++) {
+        records.push(readRecord(chunk.offset + i * recordSize));
+    }
+    return records;
+}
+
+function parseSf2(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    const riffEnd = Math.min(8 + view.getUint32(4, true), arrayBuffer.byteLength);
+    const chunks = readRiffChunks(view, 12, riffEnd);
+
+    if (!chunks.sdta || !chunks.sdta.smpl || !chunks.pdta) {
+        throw new Error('SoundFont is missing sample or preset data');
+    }
+
+    const pdta = chunks.pdta;
+    const readBag = (offset) => ({ genIndex: view.getUint16(offset, true) });
+    const readGen = (offset) => {
+        const oper = view.getUint16(offset, true);
+        // Instrument and sample generators are unsigned indices; the rest are signed amounts
+        const isIndex = oper === SF2_GEN.instrument || oper === SF2_GEN.sampleID;
+        return {
+            oper,
+            amount: isIndex ? view.getUint16(offset + 2, true) : view.getInt16(offset + 2, true),
+            lo: view.getUint8(offset + 2),   // Low byte of range generators
+            hi: view.getUint8(offset + 3)    // High byte of range generators
+        };
+    };
+
+    const presetHeaders = readSf2Records(view, pdta.phdr, 38, (offset) => ({
+        name: readFixedString(view, offset, 20),
+        program: view.getUint16(offset + 20, true),
+        bank: view.getUint16(offset + 22, true),
+        bagIndex: view.getUint16(offset + 24, true)
+    }));
+    const presetBags = readSf2Records(view, pdta.pbag, 4, readBag);
+    const presetGens = readSf2Records(view, pdta.pgen, 4, readGen);
+
+    const instHeaders = readSf2Records(view, pdta.inst, 22, (offset) => ({
+        name: readFixedString(view, offset, 20),
+        bagIndex: view.getUint16(offset + 20, true)
+    }));
+    const instBags = readSf2Records(view, pdta.ibag, 4, readBag);
+    const instGens = readSf2Records(view, pdta.igen, 4, readGen);
+
+    const samples = readSf2Records(view, pdta.shdr, 46, (offset) => ({
+        name: readFixedString(view, offset, 20),
+        start: view.getUint32(offset + 20, true),
+        end: view.getUint32(offset + 24, true),
+        startLoop: view.getUint32(offset + 28, true),
+        endLoop: view.getUint32(offset + 32, true),
+        sampleRate: view.getUint32(offset + 36, true),
+        originalPitch: view.getUint8(offset + 40),
+        pitchCorrection: view.getInt8(offset + 41),
+        sampleType: view.getUint16(offset + 44, true)
+    }));
+
+    // Each header list ends with a terminal record (EOP/EOI/EOS) that only marks the end of the last bag
+    const presets = [];
+    for (let i = 0; i < presetHeaders.length - 1; i++) {
+        presets.push({
+            name: presetHeaders[i].name,
+            bank: presetHeaders[i].bank,
+            program: presetHeaders[i].program,
+            zones: readSf2Zones(presetBags, presetGens, presetHeaders[i].bagIndex, presetHeaders[i + 1].bagIndex)
+        });
+    }
+
+    const instruments = [];
+    for (let i = 0; i < instHeaders.length - 1; i++) {
+        instruments.push({
+            name: instHeaders[i].name,
+            zones: readSf2Zones(instBags, instGens, instHeaders[i].bagIndex, instHeaders[i + 1].bagIndex)
+        });
+    }
+
+    return {
+        name: chunks.INFO && chunks.INFO.INAM ? readFixedString(view, chunks.INFO.INAM.offset, chunks.INFO.INAM.size) : 'SoundFont',
+        presets,
+        instruments,
+        samples: samples.slice(0, -1),
+        sampleData: new Int16Array(arrayBuffer.slice(chunks.sdta.smpl.offset, chunks.sdta.smpl.offset + chunks.sdta.smpl.size - (chunks.sdta.smpl.size % 2))),
+        bufferCache: new Map()
+    };
+}
+
+// Collect the generators of each bag into a zone keyed by generator operator
+function readSf2Zones(bags, gens, bagStart, bagEnd) {
+    const zones = [];
+    for (let b = bagStart; b < bagEnd && b + 1 < bags.length; b++) {
+        const zone = {};
+        for (let g = bags[b].genIndex; g < bags[b + 1].genIndex && g < gens.length; g++) {
+            zone[gens[g].oper] = gens[g];
+        }
+        zones.push(zone);
+    }
+    return zones;
+}
+
+// Split zones into the optional global zone and the zones that reference a child (instrument or sample)
+function splitSf2Zones(zones, childOper) {
+    if (zones.length > 0 && !(childOper in zones[0])) {
+        return { global: zones[0], locals: zones.slice(1).filter(zone => childOper in zone) };
+    }
+    return { global: {}, locals: zones.filter(zone => childOper in zone) };
+}
+
+// Presets of the selected instrument's .sf2 file (hidden for MIDI.js instruments)
+function populatePresetSelect() {
+    presetSelect.innerHTML = '';
+
+    const instrument = getSelectedInstrument();
+    if (!instrument || !instrument.sf2) {
+        presetGroup.hidden = true;
+        return;
+    }
+
+    const sorted = instrument.sf2.presets
+        .map((preset, index) => ({ preset, index }))
+        .sort((a, b) => a.preset.bank - b.preset.bank || a.preset.program - b.preset.program);
+
+    for (const { preset, index } of sorted) {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = `${String(preset.bank).padStart(3, '0')}:${String(preset.program).padStart(3, '0')} ${preset.name}`;
+        presetSelect.appendChild(option);
+    }
+
+    if (instrument.presetIndex !== null) {
+        presetSelect.value = instrument.presetIndex;
+    }
+    presetGroup.hidden = sorted.length === 0;
+}
+
+function loadSf2Preset(presetIndex) {
+    const instrument = getSelectedInstrument();
+    const preset = instrument && instrument.sf2 && instrument.sf2.presets[presetIndex];
+    if (!preset) return;
+
+    stopAllNotes();
+    instrument.zones = buildSf2PresetZones(instrument.sf2, preset);
+    instrument.presetIndex = presetIndex;
+    instrument.name = preset.name;
+    renderInstrumentList();
+
+    if (instrument.zones.length === 0) {
+        setStatus(`Preset "${preset.name}" has no playable samples. Using the built-in synth.`);
+    } else {
+        setStatus(`Loaded ${instrument.sf2.name}: ${preset.name} (${preset.bank}:${preset.program}). Drag mouse over pixels to play.`);
+    }
+}
+
+// Flatten a preset's preset and instrument zones into playable sample zones
+function buildSf2PresetZones(sf2, preset) {
+    const zones = [];
+    const presetZones = splitSf2Zones(preset.zones, SF2_GEN.instrument);
+
+    for (const presetLocal of presetZones.locals) {
+        const presetGens = { ...presetZones.global, ...presetLocal };
+        const instrument = sf2.instruments[presetGens[SF2_GEN.instrument].amount];
+        if (!instrument) continue;
+
+        const instZones = splitSf2Zones(instrument.zones, SF2_GEN.sampleID);
+
+        for (const instLocal of instZones.locals) {
+            const instGens = { ...instZones.global, ...instLocal };
+            const sample = sf2.samples[instGens[SF2_GEN.sampleID].amount];
+            // Skip missing and ROM samples
+            if (!sample || (sample.sampleType & 0x8000)) continue;
+
+            // Preset ranges narrow the instrument ranges
+            const keyLo = Math.max(rangeLo(instGens, SF2_GEN.keyRange), rangeLo(presetGens, SF2_GEN.keyRange));
+            const keyHi = Math.min(rangeHi(instGens, SF2_GEN.keyRange), rangeHi(presetGens, SF2_GEN.keyRange));
+            const velLo = Math.max(rangeLo(instGens, SF2_GEN.velRange), rangeLo(presetGens, SF2_GEN.velRange));
+            const velHi = Math.min(rangeHi(instGens, SF2_GEN.velRange), rangeHi(presetGens, SF2_GEN.velRange));
+            if (keyLo > keyHi || velLo > velHi) continue;
+
+            const zone = buildSf2SampleZone(sf2, sample, instGens, presetGens);
+            if (!zone) continue;
+
+            zone.keyLo = keyLo;
+            zone.keyHi = keyHi;
+            zone.velLo = velLo;
+            zone.velHi = velHi;
+            zones.push(zone);
+        }
+    }
+
+    return zones;
+}
+
+function buildSf2SampleZone(sf2, sample, instGens, presetGens) {
+    // Instrument generators are absolute, preset generators are offsets added on top
+    const instValue = (oper, fallback) => instGens[oper] ? instGens[oper].amount : fallback;
+    const presetValue = (oper) => presetGens[oper] ? presetGens[oper].amount : 0;
+
+    const start = sample.start + instValue(SF2_GEN.startAddrsOffset, 0) + instValue(SF2_GEN.startAddrsCoarseOffset, 0) * 32768;
+    const end = sample.end + instValue(SF2_GEN.endAddrsOffset, 0) + instValue(SF2_GEN.endAddrsCoarseOffset, 0) * 32768;
+    const loopStart = sample.startLoop + instValue(SF2_GEN.startloopAddrsOffset, 0) + instValue(SF2_GEN.startloopAddrsCoarseOffset, 0) * 32768;
+    const loopEnd = sample.endLoop + instValue(SF2_GEN.endloopAddrsOffset, 0) + instValue(SF2_GEN.endloopAddrsCoarseOffset, 0) * 32768;
+
+    const buffer = getSf2SampleBuffer(sf2, start, end, sample.sampleRate);
+    if (!buffer) return null;
+
+    const overridingRootKey = instValue(SF2_GEN.overridingRootKey, -1);
+    const rootKey = overridingRootKey >= 0 ? overridingRootKey : sample.originalPitch;
+    const tune = (instValue(SF2_GEN.coarseTune, 0) + presetValue(SF2_GEN.coarseTune)) * 100 +
+        instValue(SF2_GEN.fineTune, 0) + presetValue(SF2_GEN.fineTune) + sample.pitchCorrection;
+    // Attenuation is in centibels
+    const attenuation = Math.max(0, instValue(SF2_GEN.initialAttenuation, 0) + presetValue(SF2_GEN.initialAttenuation));
+    const sampleModes = instValue(SF2_GEN.sampleModes, 0) & 3;
+    const loop = (sampleModes === 1 || sampleModes === 3) && loopEnd > loopStart && loopStart >= start && loopEnd <= end;
+
+    return createSampleZone(buffer, 0, 127, rootKey === 255 ? 60 : rootKey, {
+        tune,
+        scaleTuning: instValue(SF2_GEN.scaleTuning, 100) + presetValue(SF2_GEN.scaleTuning),
+        gain: Math.pow(10, -attenuation / 200),
+        loop,
+        loopStart: loop ? (loopStart - start) / sample.sampleRate : 0,
+        loopEnd: loop ? (loopEnd - start) / sample.sampleRate : 0
+    });
+}
+
+// Copy a range of 16-bit sample data into an AudioBuffer, shared between zones that use it
+function getSf2SampleBuffer(sf2, start, end, sampleRate) {
+    const key = `${start}:${end}:${sampleRate}`;
+    if (sf2.bufferCache.has(key)) return sf2.bufferCache.get(key);
+
+    const from = Math.max(0, start);
+    const to = Math.min(sf2.sampleData.length, end);
+    if (to - from < 2 || sampleRate < 3000) return null;
+
+    const buffer = audioContext.createBuffer(1, to - from, sampleRate);
+    const channel = buffer.getChannelData(0);
+    for (let i = from; i < to; i++) {
+        channel[i - from] = sf2.sampleData[i] / 32768;
+    }
+
+    sf2.bufferCache.set(key, buffer);
+    return buffer;
+}
+
+function rangeLo(gens, oper) {
+    return gens[oper] ? gens[oper].lo : 0;
+}
+
+function rangeHi(gens, oper) {
+    return gens[oper] ? gens[oper].hi : 127;
+}
+
+// Mouse/Touch Interaction
+function startDrag(event) {
+    if (paintToggle.checked) {
+        startPainting(event);
+        return;
+    }
+    if (!pixelData) return;
+
+    if (audioContext && audioContext.state === 'suspended') {
+        audioContext.resume();
+    }
+
+    const playMode = playModeSelect.value;
+
+    if (playMode === 'line' || playMode === 'lineLoop') {
+        startLineDrawing(event);
+    } else if (playMode === 'scan') {
+        isDragging = true;
+        moveScanPlayhead(event);
+    } else {
+        isDragging = true;
+        playAtPosition(event);
+    }
+}
+
+function onDrag(event) {
+    if (paintToggle.checked) {
+        continuePainting(event);
+        return;
+    }
+    if (!pixelData) return;
+
+    const playMode = playModeSelect.value;
+
+    if (playMode === 'line' || playMode === 'lineLoop') {
+        updateLineDrawing(event);
+    } else if (playMode === 'scan') {
+        if (!isDragging) return;
+        moveScanPlayhead(event);
+    } else {
+        if (!isDragging) return;
+        playAtPosition(event);
+    }
+}
+
+function endDrag() {
+    if (paintToggle.checked) {
+        endPainting();
+        return;
+    }
+
+    const playMode = playModeSelect.value;
 
     if (playMode === 'line' || playMode === 'lineLoop') {
         endLineDrawing();
+    } else if (playMode === 'scan') {
+        isDragging = false;
+    } else {
+        isDragging = false;
+        lastPlayedPixel = { x: -1, y: -1 };
+        stopDirectNote();
+        clearPianoHighlight();
+
+        // Reset timing quantization
+        pendingNote = null;
+        lastDirectBeat = -Infinity;
+        visualQueue = visualQueue.filter(event => event.type !== 'note');
+        stopTransportIfIdle();
+    }
+}
+
+// Transport
+// Notes are scheduled a little ahead against audioContext.currentTime, so timing
+// follows the audio clock rather than whenever the main thread runs a timer
+const SCHEDULER_INTERVAL_MS = 25;
+const SCHEDULE_AHEAD_TIME = 0.1;  // Seconds
+
+let transport = { running: false, timer: null, originTime: 0, originBeat: 0, nextClickBeat: 0, nextClockBeat: 0 };
+let visualQueue = [];  // Scheduled events shown once the audio clock reaches them
+let drawFrame = null;
+
+function startTransport() {
+    if (transport.running) return;
+
+    transport.running = true;
+    transport.originTime = audioContext.currentTime;
+    transport.originBeat = 0;
+    transport.nextClickBeat = 0;
+    transport.timer = setInterval(schedulerTick, SCHEDULER_INTERVAL_MS);
+    startMidiClock();
+}
+
+function stopTransportIfIdle() {
+    if (!transport.running || activeLines.length > 0 || pendingNote || isDragging || scan.running || metronomeToggle.checked) return;
+
+    stopMidiClock();
+    clearInterval(transport.timer);
+    transport.running = false;
+    transport.timer = null;
+}
+
+function beatToTime(beat) {
+    return transport.originTime + (beat - transport.originBeat) * getSecondsPerBeat();
+}
+
+function timeToBeat(time) {
+    return transport.originBeat + (time - transport.originTime) / getSecondsPerBeat();
+}
+
+// First step of the shared grid at or after a beat position
+function nextGridBeat(beat, stepBeats) {
+    return Math.ceil(beat / stepBeats - 1e-6) * stepBeats;
+}
+
+// Swing warps each beat so the off-beat eighth lands later; sixteenths in between move proportionally
+function applySwing(beat) {
+    const whole = Math.floor(beat + 1e-9);
+    const fraction = Math.max(0, beat - whole);
+    const offbeat = 0.5 + getSwing() / 6;
+
+    const swung = fraction < 0.5
+        ? fraction * offbeat / 0.5
+        : offbeat + (fraction - 0.5) * (1 - offbeat) / 0.5;
+
+    return whole + swung;
+}
+
+// Time a grid step sounds at, with swing applied
+function getStepTime(beat) {
+    return beatToTime(applySwing(beat));
+}
+
+// Change tempo without restarting: re-anchor the grid at the current position
+function setBpm(value) {
+    if (isNaN(value)) {
+        bpmInput.value = bpm;
+        return;
+    }
+
+    const newBpm = Math.max(20, Math.min(300, Math.round(value * 10) / 10));
+    if (transport.running) {
+        const now = audioContext.currentTime;
+        transport.originBeat = timeToBeat(now);
+        transport.originTime = now;
+    }
+
+    bpm = newBpm;
+    bpmInput.value = bpm;
+    recordTempoChange();
+
+    // Keep the delay locked to the new tempo
+    applyEffectSettings(masterBus);
+}
+
+function tapTempo() {
+    const now = performance.now();
+
+    // A pause of more than two seconds starts a new tap sequence
+    if (tapTimes.length > 0 && now - tapTimes[tapTimes.length - 1] > 2000) {
+        tapTimes = [];
+    }
+    tapTimes.push(now);
+    tapTimes = tapTimes.slice(-5);
+
+    if (tapTimes.length >= 2) {
+        const averageMs = (tapTimes[tapTimes.length - 1] - tapTimes[0]) / (tapTimes.length - 1);
+        setBpm(60000 / averageMs);
+    }
+}
+
+function toggleMetronome() {
+    if (metronomeToggle.checked) {
+        startTransport();
+        transport.nextClickBeat = nextGridBeat(timeToBeat(audioContext.currentTime), 4 / getTimeSignature().denominator);
+        schedulerTick();
+    } else {
+        stopTransportIfIdle();
+    }
+}
+
+// Short click on every beat of the time signature, accented on the downbeat
+function scheduleMetronomeClick(beat, when) {
+    const barPosition = beat % getBeatsPerBar();
+    const isDownbeat = barPosition < 1e-6 || getBeatsPerBar() - barPosition < 1e-6;
+
+    const oscillator = audioContext.createOscillator();
+    oscillator.frequency.value = isDownbeat ? 1500 : 1000;
+
+    const gainNode = audioContext.createGain();
+    gainNode.gain.setValueAtTime(isDownbeat ? 0.3 : 0.15, when);
+    gainNode.gain.exponentialRampToValueAtTime(0.001, when + 0.05);
+
+    oscillator.connect(gainNode);
+    gainNode.connect(audioContext.destination);
+    oscillator.start(when);
+    oscillator.stop(when + 0.05);
+}
+
+// Schedule every note that falls inside the lookahead window
+function schedulerTick() {
+    const horizon = audioContext.currentTime + SCHEDULE_AHEAD_TIME;
+
+    for (const line of activeLines.slice()) {
+        while (!line.ended && getStepTime(line.nextBeat) < horizon) {
+            scheduleLineNote(line, getStepTime(line.nextBeat));
+            line.nextBeat += getLineStepBeats(line);
+        }
+
+        // Removed here rather than with the visuals, which stop in a background tab
+        if (line.ended && line.endTime <= audioContext.currentTime) {
+            removeLine(line.id);
+        }
+    }
+
+    if (pendingNote && getStepTime(pendingNote.beat) < horizon) {
+        playPendingNote(Math.max(audioContext.currentTime, getStepTime(pendingNote.beat)));
+        lastDirectBeat = pendingNote.beat;
+        pendingNote = null;
+    }
+
+    if (scan.running) {
+        while (getStepTime(scan.nextBeat) < horizon) {
+            scheduleScanStep(getStepTime(scan.nextBeat));
+            scan.nextBeat += getStepBeats();
+        }
+    }
+
+    if (metronomeToggle.checked) {
+        const clickBeats = 4 / getTimeSignature().denominator;
+        while (beatToTime(transport.nextClickBeat) < horizon) {
+            scheduleMetronomeClick(transport.nextClickBeat, Math.max(audioContext.currentTime, beatToTime(transport.nextClickBeat)));
+            transport.nextClickBeat += clickBeats;
+        }
+    }
+
+    if (midiOutput && midiClockToggle.checked) {
+        scheduleMidiClock(horizon);
+    }
+
+    stopTransportIfIdle();
+}
+
+function queueVisual(event) {
+    visualQueue.push(event);
+    if (drawFrame === null) {
+        drawFrame = requestAnimationFrame(drawScheduledEvents);
+    }
+}
+
+// Move cursors and piano highlights when their notes actually sound
+function drawScheduledEvents() {
+    drawFrame = null;
+
+    const now = audioContext.currentTime;
+    const due = visualQueue.filter(event => event.time <= now).sort((a, b) => a.time - b.time);
+    visualQueue = visualQueue.filter(event => event.time > now);
+
+    let linesChanged = false;
+    for (const event of due) {
+        if (event.type === 'scan') {
+            scan.playhead = event.position;
+            highlightPianoKeys(event.midiNotes, event.instruments.map(getInstrumentColor));
+            linesChanged = true;
+            continue;
+        }
+
+        if (event.type === 'line') {
+            const line = activeLines.find(l => l.id === event.lineId);
+            if (line) {
+                line.playheadIndex = event.index;
+                linesChanged = true;
+            }
+
+            // With several instruments loaded, say which one each line is playing
+            if (instruments.length > 1) {
+                setStatus(`${activeLines.length} line(s) playing | Line ${event.lineId + 1}: ${getInstrumentName(event.instrument)} ${midiToNoteName(event.midiNote)}`);
+            }
+        }
+        highlightPianoKey(event.midiNote, getInstrumentColor(event.instrument));
+    }
+
+    if (linesChanged) {
+        redrawWithActiveLines();
+    }
+
+    if (visualQueue.length > 0) {
+        drawFrame = requestAnimationFrame(drawScheduledEvents);
+    }
+}
+
+// Line Playing Mode
+// Grid cell under a mouse/touch event (may be outside the grid)
+function getEventGridPosition(event) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+        x: Math.floor((event.clientX - rect.left) / getPixelSize()),
+        y: Math.floor((event.clientY - rect.top) / getPixelSize())
+    };
+}
+
+function clampToGrid(point) {
+    return {
+        x: Math.max(0, Math.min(gridWidth - 1, Math.round(point.x))),
+        y: Math.max(0, Math.min(gridHeight - 1, Math.round(point.y)))
+    };
+}
+
+function isClickTool(tool) {
+    return tool === 'polyline' || tool === 'polygon';
+}
+
+function startLineDrawing(event) {
+    const { x, y } = getEventGridPosition(event);
+    if (!isInsideGrid(x, y)) return;
+
+    // Control points of the selected line can be dragged to reshape it
+    const handle = findHandleAt(event);
+    if (handle) {
+        draggingHandle = handle;
+        return;
+    }
+
+    const tool = drawToolSelect.value;
+
+    if (isClickTool(tool)) {
+        addClickToolPoint(tool, { x, y });
+        return;
+    }
+
+    drawingShape = { type: tool, points: tool === 'freehand' ? [{ x, y }] : [{ x, y }, { x, y }] };
+    isDrawingLine = true;
+
+    redrawWithActiveLines();
+    drawLinePreview();
+    setStatus(`Drawing ${tool === 'line' ? 'line' : 'shape'}... release to play (${activeLines.length} active)`);
+}
+
+function updateLineDrawing(event) {
+    const point = clampToGrid(getEventGridPosition(event));
+
+    if (draggingHandle) {
+        moveHandle(draggingHandle, point);
+        return;
+    }
+
+    if (drawingShape && isClickTool(drawingShape.type)) {
+        // Rubber band from the last point to the cursor
+        drawingShape.cursor = point;
+        redrawWithActiveLines();
+        drawLinePreview();
+        return;
+    }
+
+    if (!isDrawingLine) return;
+
+    const points = drawingShape.points;
+    switch (drawingShape.type) {
+        case 'freehand': {
+            // Record the actual drag path
+            const last = points[points.length - 1];
+            if (last.x !== point.x || last.y !== point.y) {
+                points.push(point);
+            }
+            break;
+        }
+        case 'bezier':
+            drawingShape.points = getDefaultBezierPoints(points[0], point);
+            break;
+        default:
+            points[points.length - 1] = point;
+    }
+
+    redrawWithActiveLines();
+    drawLinePreview();
+}
+
+function endLineDrawing() {
+    if (draggingHandle) {
+        draggingHandle = null;
+        renderLineList();
+        return;
+    }
+
+    if (!isDrawingLine) return;
+
+    isDrawingLine = false;
+
+    const shape = drawingShape;
+    drawingShape = null;
+
+    const start = shape.points[0];
+    const end = shape.points[shape.points.length - 1];
+    const isClick = start.x === end.x && start.y === end.y &&
+        (shape.type !== 'freehand' || shape.points.length === 1);
+
+    // A click on an existing line selects it instead of adding a one-pixel line
+    const clickedLine = isClick ? findLineAt(start.x, start.y) : null;
+
+    if (clickedLine) {
+        selectLine(clickedLine.id);
+    } else {
+        if (shape.type === 'freehand') {
+            shape.points = simplifyPath(shape.points, 0.75);
+        }
+        recordLineAdded(addLine(shape));
+    }
+
+    redrawWithActiveLines();
+}
+
+// Polyline and closed shape tools add a point per click; clicking the last point again finishes
+function addClickToolPoint(tool, point) {
+    if (!drawingShape) {
+        drawingShape = { type: tool, points: [point], cursor: point };
+    } else {
+        const last = drawingShape.points[drawingShape.points.length - 1];
+        if (last.x === point.x && last.y === point.y) {
+            finishClickToolShape();
+            return;
+        }
+        drawingShape.points.push(point);
+    }
+
+    redrawWithActiveLines();
+    drawLinePreview();
+    setStatus(`${drawingShape.points.length} point(s). Click to add more; click the last point again or press Enter to finish, Esc to cancel.`);
+}
+
+function finishClickToolShape() {
+    const shape = drawingShape;
+    drawingShape = null;
+
+    if (shape && shape.points.length >= 2) {
+        delete shape.cursor;
+        recordLineAdded(addLine(shape));
+    } else {
+        updateLineStatus();
+    }
+    redrawWithActiveLines();
+}
+
+function cancelShapeDrawing() {
+    if (!drawingShape) return;
+
+    drawingShape = null;
+    isDrawingLine = false;
+    redrawWithActiveLines();
+    updateLineStatus();
+}
+
+function onShapeKeyDown(event) {
+    if (!drawingShape || !isClickTool(drawingShape.type)) return;
+
+    if (event.key === 'Enter') {
+        finishClickToolShape();
+    } else if (event.key === 'Escape') {
+        cancelShapeDrawing();
+    }
+}
+
+// Create a line playback object for a shape and start it
+function addLine(shape) {
+    const pixels = rasterizeShape(shape);
+    if (pixels.length === 0) return null;
+
+    const lineId = nextLineId++;
+    const line = {
+        id: lineId,
+        shape: shape,
+        pixels: pixels,
+        currentIndex: 0,   // Next step of the current pass
+        playheadIndex: -1, // Pixel currently sounding
+        nextBeat: 0,
+        ended: false,
+        endTime: null,     // When the last step of a finished pass is over
+        color: getRandomLineColor(),
+        settings: createLineSettings()
+    };
+
+    activeLines.push(line);
+    startSingleLinePlayback(line);
+    updateLineStatus();
+    return line;
+}
+
+// Shape Rasterization
+// Turn a shape into the ordered pixel path a line plays
+function rasterizeShape(shape) {
+    const points = shape.points;
+    switch (shape.type) {
+        case 'freehand':
+        case 'polyline':
+            return rasterizePath(points, false);
+        case 'polygon':
+            return rasterizePath(points, true);
+        case 'bezier':
+            return rasterizePath(sampleBezier(points), false);
+        case 'circle':
+            return rasterizePath(sampleCircle(points[0], points[1]), true);
+        default:
+            return getLinePixels(points[0].x, points[0].y, points[1].x, points[1].y);
+    }
+}
+
+function isClosedShape(shape) {
+    return shape.type === 'polygon' || shape.type === 'circle';
+}
+
+// Join points with Bresenham segments without repeating the pixels they share
+function rasterizePath(points, closed) {
+    if (points.length === 1) return [{ x: points[0].x, y: points[0].y }];
+
+    const pixels = [];
+    const segmentCount = closed ? points.length : points.length - 1;
+
+    for (let i = 0; i < segmentCount; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        for (const pixel of getLinePixels(a.x, a.y, b.x, b.y)) {
+            const last = pixels[pixels.length - 1];
+            if (!last || last.x !== pixel.x || last.y !== pixel.y) {
+                pixels.push(pixel);
+            }
+        }
+    }
+
+    // A closed path ends back on its first pixel, which already starts the loop
+    if (closed && pixels.length > 1) {
+        const first = pixels[0];
+        const last = pixels[pixels.length - 1];
+        if (first.x === last.x && first.y === last.y) {
+            pixels.pop();
+        }
+    }
+
+    return pixels;
+}
+
+// Cubic Bézier through [start, control1, control2, end], sampled finely enough to leave no gaps
+function sampleBezier(points) {
+    const [p0, p1, p2, p3] = points;
+    const roughLength = Math.hypot(p1.x - p0.x, p1.y - p0.y) + Math.hypot(p2.x - p1.x, p2.y - p1.y) + Math.hypot(p3.x - p2.x, p3.y - p2.y);
+    const steps = Math.max(8, Math.ceil(roughLength * 2));
+    const samples = [];
+
+    for (let i = 0; i <= steps; i++) {
+        const t = i / steps;
+        const u = 1 - t;
+        samples.push(clampToGrid({
+            x: u * u * u * p0.x + 3 * u * u * t * p1.x + 3 * u * t * t * p2.x + t * t * t * p3.x,
+            y: u * u * u * p0.y + 3 * u * u * t * p1.y + 3 * u * t * t * p2.y + t * t * t * p3.y
+        }));
+    }
+
+    return samples;
+}
+
+// Start and end of a new curve, with control points bowed to one side so it starts out curved
+function getDefaultBezierPoints(start, end) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const bow = 0.3;
+
+    return [
+        start,
+        clampToGrid({ x: start.x + dx / 3 - dy * bow, y: start.y + dy / 3 + dx * bow }),
+        clampToGrid({ x: start.x + dx * 2 / 3 - dy * bow, y: start.y + dy * 2 / 3 + dx * bow }),
+        end
+    ];
+}
+
+// Circle around a center, starting at the edge point and going clockwise
+function sampleCircle(center, edge) {
+    const radius = Math.hypot(edge.x - center.x, edge.y - center.y);
+    if (radius < 1) return [center];
+
+    const startAngle = Math.atan2(edge.y - center.y, edge.x - center.x);
+    const steps = Math.max(8, Math.ceil(Math.PI * 2 * radius));
+    const samples = [];
+
+    for (let i = 0; i < steps; i++) {
+        const angle = startAngle + (i / steps) * Math.PI * 2;
+        samples.push(clampToGrid({
+            x: center.x + Math.cos(angle) * radius,
+            y: center.y + Math.sin(angle) * radius
+        }));
+    }
+
+    return samples;
+}
+
+// Ramer-Douglas-Peucker simplification, so a freehand stroke keeps a handful of editable points
+function simplifyPath(points, epsilon) {
+    if (points.length < 3) return points;
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const length = Math.hypot(last.x - first.x, last.y - first.y);
+
+    let maxDistance = 0;
+    let maxIndex = 0;
+    for (let i = 1; i < points.length - 1; i++) {
+        const p = points[i];
+        const distance = length === 0
+            ? Math.hypot(p.x - first.x, p.y - first.y)
+            : Math.abs((last.y - first.y) * p.x - (last.x - first.x) * p.y + last.x * first.y - last.y * first.x) / length;
+        if (distance > maxDistance) {
+            maxDistance = distance;
+            maxIndex = i;
+        }
+    }
+
+    if (maxDistance <= epsilon) return [first, last];
+
+    const left = simplifyPath(points.slice(0, maxIndex + 1), epsilon);
+    const right = simplifyPath(points.slice(maxIndex), epsilon);
+    return left.slice(0, -1).concat(right);
+}
+
+// Shape Editing
+// Control point of the selected line under the mouse, within a few screen pixels
+function findHandleAt(event) {
+    const line = getSelectedLine();
+    if (!line || !line.shape) return null;
+
+    const rect = canvas.getBoundingClientRect();
+    const mouseX = event.clientX - rect.left;
+    const mouseY = event.clientY - rect.top;
+
+    for (let i = line.shape.points.length - 1; i >= 0; i--) {
+        const center = getCellCenter(line.shape.points[i]);
+        if (Math.hypot(mouseX - center.x, mouseY - center.y) <= Math.max(8, getPixelSize())) {
+            return { lineId: line.id, pointIndex: i };
+        }
+    }
+    return null;
+}
+
+function moveHandle(handle, point) {
+    const line = activeLines.find(l => l.id === handle.lineId);
+    if (!line) {
+        draggingHandle = null;
+        return;
+    }
+
+    line.shape.points[handle.pointIndex] = point;
+    reshapeLine(line);
+    redrawWithActiveLines();
+}
+
+// Re-rasterize a line after its shape changed, keeping playback inside the new path
+function reshapeLine(line) {
+    line.pixels = rasterizeShape(line.shape);
+    if (line.currentIndex >= getLinePassLength(line)) {
+        line.currentIndex = 0;
+    }
+    if (line.playheadIndex >= line.pixels.length) {
+        line.playheadIndex = -1;
+    }
+}
+
+function getCellCenter(point) {
+    return {
+        x: point.x * getPixelSize() + getPixelSize() / 2,
+        y: point.y * getPixelSize() + getPixelSize() / 2
+    };
+}
+
+function getRandomLineColor() {
+    const hue = Math.random() * 360;
+    return `hsl(${hue}, 100%, 50%)`;
+}
+
+function getLinePixels(x0, y0, x1, y1) {
+    // Bresenham's line algorithm
+    const pixels = [];
+    const dx = Math.abs(x1 - x0);
+    const dy = Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    let err = dx - dy;
+
+    let x = x0;
+    let y = y0;
+
+    while (true) {
+        pixels.push({ x, y });
+
+        if (x === x1 && y === y1) break;
+
+        const e2 = 2 * err;
+        if (e2 > -dy) {
+            err -= dy;
+            x += sx;
+        }
+        if (e2 < dx) {
+            err += dx;
+            y += sy;
+        }
+    }
+
+    return pixels;
+}
+
+function drawLinePreview() {
+    if (!drawingShape) return;
+
+    const shape = drawingShape;
+    const pixels = rasterizeShape(shape);
+
+    // Draw the path being drawn
+    ctx.strokeStyle = '#ff0';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    pixels.forEach((pixel, i) => {
+        const center = getCellCenter(pixel);
+        if (i === 0) {
+            ctx.moveTo(center.x, center.y);
+        } else {
+            ctx.lineTo(center.x, center.y);
+        }
+    });
+    if (isClosedShape(shape) && pixels.length > 2) {
+        ctx.closePath();
+    }
+    ctx.stroke();
+
+    // Rubber band to the cursor while clicking out a polyline
+    if (shape.cursor) {
+        const from = getCellCenter(shape.points[shape.points.length - 1]);
+        const to = getCellCenter(shape.cursor);
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    if (shape.type === 'bezier') {
+        drawShapeHandles(shape, '#ff0');
+    }
+
+    // Draw start point
+    const start = getCellCenter(shape.points[0]);
+    ctx.fillStyle = '#0f0';
+    ctx.beginPath();
+    ctx.arc(start.x, start.y, 6, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Draw end point
+    const end = getCellCenter(shape.points[shape.points.length - 1]);
+    ctx.fillStyle = '#f00';
+    ctx.beginPath();
+    ctx.arc(end.x, end.y, 6, 0, Math.PI * 2);
+    ctx.fill();
+}
+
+// Square handles on each control point (Bézier control points also get their guide lines)
+function drawShapeHandles(shape, color) {
+    if (shape.type === 'bezier') {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 3]);
+        for (const [a, b] of [[0, 1], [3, 2]]) {
+            const from = getCellCenter(shape.points[a]);
+            const to = getCellCenter(shape.points[b]);
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+            ctx.stroke();
+        }
+        ctx.setLineDash([]);
+    }
+
+    for (const point of shape.points) {
+        const center = getCellCenter(point);
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(center.x - 4, center.y - 4, 8, 8);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(center.x - 4, center.y - 4, 8, 8);
+    }
+}
+
+function redrawImage() {
+    if (!pixelData) return;
+
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(createGridCanvas(pixelData), 0, 0, canvas.width, canvas.height);
+}
+
+// A canvas the size of the grid holding RGBA pixel data, one canvas pixel per cell
+function createGridCanvas(data) {
+    const gridCanvas = document.createElement('canvas');
+    gridCanvas.width = gridWidth;
+    gridCanvas.height = gridHeight;
+    const imageData = new ImageData(new Uint8ClampedArray(data), gridWidth, gridHeight);
+    gridCanvas.getContext('2d').putImageData(imageData, 0, 0);
+    return gridCanvas;
+}
+
+function redrawWithActiveLines() {
+    redrawImage();
+
+    // Draw all active lines
+    for (const line of activeLines) {
+        drawActiveLine(line);
+    }
+
+    drawScanPlayhead();
+    drawFoundNotePixels();
+}
+
+function drawActiveLine(line) {
+    if (line.pixels.length < 2) return;
+
+    // Draw the full line path
+    ctx.strokeStyle = line.color;
+    ctx.lineWidth = line.id === selectedLineId ? 4 : 2;
+    ctx.globalAlpha = 0.6;
+    ctx.beginPath();
+    ctx.moveTo(line.pixels[0].x * getPixelSize() + getPixelSize() / 2, line.pixels[0].y * getPixelSize() + getPixelSize() / 2);
+    for (let i = 1; i < line.pixels.length; i++) {
+        ctx.lineTo(line.pixels[i].x * getPixelSize() + getPixelSize() / 2, line.pixels[i].y * getPixelSize() + getPixelSize() / 2);
+    }
+    if (line.shape && isClosedShape(line.shape)) {
+        ctx.closePath();
+    }
+    ctx.stroke();
+    ctx.globalAlpha = 1.0;
+
+    if (line.id === selectedLineId && line.shape) {
+        drawShapeHandles(line.shape, line.color);
+    }
+
+    // Highlight current pixel
+    if (line.playheadIndex >= 0 && line.playheadIndex < line.pixels.length) {
+        const pixel = line.pixels[line.playheadIndex];
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(pixel.x * getPixelSize(), pixel.y * getPixelSize(), getPixelSize(), getPixelSize());
+
+        // Draw a filled circle at current position
+        ctx.fillStyle = line.color;
+        ctx.beginPath();
+        ctx.arc(pixel.x * getPixelSize() + getPixelSize() / 2, pixel.y * getPixelSize() + getPixelSize() / 2, 5, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
+
+function startSingleLinePlayback(line) {
+    startTransport();
+
+    // Start on the next step of the shared grid so lines stay phase-locked
+    line.nextBeat = nextGridBeat(timeToBeat(audioContext.currentTime), getAlignBeats(getLineStepBeats(line)));
+    schedulerTick();
+}
+
+function scheduleLineNote(line, when) {
+    if (line.currentIndex >= getLinePassLength(line)) {
+        // Check if we should loop
+        if (playModeSelect.value === 'lineLoop') {
+            // Reset to beginning and continue
+            line.currentIndex = 0;
+        } else {
+            // Line playback complete: end the last note on this step; the scheduler removes the line then
+            line.ended = true;
+            line.endTime = when;
+            stopNoteForLine(line.id, when);
+            return;
+        }
+    }
+
+    const index = getLinePixelIndex(line, line.currentIndex);
+    const note = getLineNote(line, index);
+    const pixel = line.pixels[index];
+    const sounding = isLineAudible(line) && isMotionAt(pixel.x, pixel.y);
+
+    const tied = sounding && isTiedNote(activeNotes.get(`line_${line.id}`), note);
+    if (!tied) {
+        // Stop previous note for this line (allow polyphony with other lines)
+        stopNoteForLine(line.id, when);
+    }
+    if (sounding && !tied) {
+        const voice = createLineVoice(audioContext, masterBus, note, when);
+        activeNotes.set(`line_${line.id}`, voice);
+        recordNoteOn(`line_${line.id}`, note.midiNote, note.volume, note.pan, when);
+        sendMidiNoteOn(`line_${line.id}`, line.settings.midiChannel, note, when);
+
+        // The gate (or a mapped note length) ends the note before the next step
+        const length = getNoteLengthSeconds(note, getLineStepBeats(line));
+        if (length !== null) {
+            releaseVoice(voice, when + length);
+            recordNoteOff(`line_${line.id}`, when + length);
+            sendMidiNoteOff(`line_${line.id}`, when + length);
+        }
+    }
+
+    // Update display when the note sounds
+    queueVisual({ time: when, type: 'line', lineId: line.id, index, midiNote: note.midiNote, instrument: note.instrument });
+
+    line.currentIndex++;
+}
+
+// Map a grid pixel to a note through the color mapping
+function getPixelNote(x, y, scaleName = scaleSelect.value) {
+    const pixelIndex = (y * gridWidth + x) * 4;
+    return mapColorToNote(pixelData[pixelIndex], pixelData[pixelIndex + 1], pixelData[pixelIndex + 2], scaleName);
+}
+
+// Per-line settings; 'global' follows the main controls
+function createLineSettings() {
+    return {
+        scale: 'global',
+        timing: 'global',
+        instrument: 'global',
+        transpose: 0,
+        volume: 1,
+        direction: 'forward',
+        muted: false,
+        solo: false,
+        midiChannel: 1
+    };
+}
+
+function getLineStepBeats(line) {
+    return getStepBeats(line.settings.timing === 'global' ? timingSelect.value : line.settings.timing);
+}
+
+// The note a line plays at one of its pixels, with its scale, transpose and volume applied
+function getLineNote(line, index) {
+    const pixel = line.pixels[index];
+    const scaleName = line.settings.scale === 'global' ? scaleSelect.value : line.settings.scale;
+    const note = getPixelNote(pixel.x, pixel.y, scaleName);
+
+    return {
+        ...note,
+        midiNote: Math.max(0, Math.min(127, note.midiNote + line.settings.transpose)),
+        volume: note.volume * line.settings.volume,
+        instrument: line.settings.instrument === 'global' ? note.instrument : line.settings.instrument
+    };
+}
+
+// Steps in one pass over a line; ping-pong turns around without repeating the end pixels
+function getLinePassLength(line) {
+    if (line.settings.direction === 'pingpong') {
+        return Math.max(1, line.pixels.length * 2 - 2);
+    }
+    return line.pixels.length;
+}
+
+// Pixel index for a step of the current pass, following the line's direction
+function getLinePixelIndex(line, step) {
+    const length = line.pixels.length;
+    switch (line.settings.direction) {
+        case 'reverse':
+            return length - 1 - (step % length);
+        case 'pingpong': {
+            const position = step % getLinePassLength(line);
+            return position < length ? position : getLinePassLength(line) - position;
+        }
+        case 'random':
+            return Math.floor(Math.random() * length);
+        default:
+            return step % length;
+    }
+}
+
+// Muted lines keep their place but stay silent; any solo silences the lines that aren't soloed
+function isLineAudible(line) {
+    if (line.settings.muted) return false;
+    const anySolo = activeLines.some(l => l.settings.solo);
+    return !anySolo || line.settings.solo;
+}
+
+function findLineAt(x, y) {
+    // Topmost (most recently drawn) line first
+    for (let i = activeLines.length - 1; i >= 0; i--) {
+        if (activeLines[i].pixels.some(pixel => pixel.x === x && pixel.y === y)) {
+            return activeLines[i];
+        }
+    }
+    return null;
+}
+
+function removeLine(lineId) {
+    const index = activeLines.findIndex(l => l.id === lineId);
+    if (index !== -1) {
+        // Stop the note associated with this line
+        stopNoteForLine(lineId);
+        activeLines.splice(index, 1);
+        visualQueue = visualQueue.filter(event => event.lineId !== lineId);
+    }
+
+    if (selectedLineId === lineId) {
+        selectedLineId = null;
+    }
+
+    redrawWithActiveLines();
+    updateLineStatus();
+    stopTransportIfIdle();
+}
+
+function updateLineStatus() {
+    renderLineList();
+
+    if (activeLines.length > 0) {
+        const looping = playModeSelect.value === 'lineLoop' ? ' (looping)' : '';
+        setStatus(`${activeLines.length} line(s) playing${looping}. Draw more lines to add!`);
+    } else if (pixelData) {
+        setStatus('Draw a line to play. Lines can overlap!');
+    }
+}
+
+function stopAllLinePlayback() {
+    for (const line of activeLines) {
+        stopNoteForLine(line.id);
+    }
+    activeLines = [];
+    selectedLineId = null;
+    visualQueue = visualQueue.filter(event => event.lineId === undefined);
+    stopTransportIfIdle();
+    renderLineList();
+    clearPianoHighlight();
+    redrawImage();
+    if (pixelData) {
+        setStatus('All lines stopped. Draw a new line to play!');
+    }
+}
+
+// Line List and Settings
+function setupLineSettings() {
+    // Scale and timing choices mirror the main selectors, plus "Global" to follow them
+    for (const [select, source] of [[lineScaleSelect, scaleSelect], [lineTimingSelect, timingSelect]]) {
+        select.appendChild(new Option('Global', 'global'));
+        for (const option of source.options) {
+            select.appendChild(new Option(option.textContent, option.value));
+        }
+    }
+
+    lineScaleSelect.addEventListener('change', () => updateSelectedLineSetting('scale', lineScaleSelect.value));
+    lineTimingSelect.addEventListener('change', () => updateSelectedLineSetting('timing', lineTimingSelect.value));
+    lineInstrumentSelect.addEventListener('change', () => updateSelectedLineSetting('instrument', lineInstrumentSelect.value));
+    lineTransposeInput.addEventListener('change', () => {
+        updateSelectedLineSetting('transpose', Math.max(-48, Math.min(48, parseInt(lineTransposeInput.value) || 0)));
+    });
+    lineVolumeInput.addEventListener('input', () => {
+        lineVolumeValueEl.textContent = `${lineVolumeInput.value}%`;
+        updateSelectedLineSetting('volume', parseInt(lineVolumeInput.value) / 100);
+    });
+    lineDirectionSelect.addEventListener('change', () => updateSelectedLineSetting('direction', lineDirectionSelect.value));
+    lineMidiChannelInput.addEventListener('change', () => {
+        const channel = Math.max(1, Math.min(16, parseInt(lineMidiChannelInput.value) || 1));
+        lineMidiChannelInput.value = channel;
+        updateSelectedLineSetting('midiChannel', channel);
+    });
+    lineMuteToggle.addEventListener('change', () => updateSelectedLineSetting('muted', lineMuteToggle.checked));
+    lineSoloToggle.addEventListener('change', () => updateSelectedLineSetting('solo', lineSoloToggle.checked));
+    deleteLineBtn.addEventListener('click', () => {
+        const line = getSelectedLine();
+        if (line) {
+            removeLine(line.id);
+            recordLinesRemoved([line]);
+        }
+    });
+
+    renderLineList();
+}
+
+function getSelectedLine() {
+    return activeLines.find(line => line.id === selectedLineId) || null;
+}
+
+function selectLine(lineId) {
+    selectedLineId = lineId;
+    renderLineList();
+    redrawWithActiveLines();
+}
+
+function updateSelectedLineSetting(key, value) {
+    const line = getSelectedLine();
+    if (!line) return;
+
+    line.settings[key] = value;
+
+    // Keep the position inside the (possibly shorter) new pass
+    if (key === 'direction' && line.currentIndex >= getLinePassLength(line)) {
+        line.currentIndex = 0;
+    }
+    if ((key === 'muted' || key === 'solo') && !isLineAudible(line)) {
+        stopNoteForLine(line.id);
+    }
+
+    renderLineList();
+}
+
+function renderLineList() {
+    lineListEl.innerHTML = '';
+
+    if (activeLines.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'empty';
+        empty.textContent = 'No lines yet. Draw one on the grid.';
+        lineListEl.appendChild(empty);
+    }
+
+    for (const line of activeLines) {
+        const item = document.createElement('li');
+        item.className = `line-item${line.id === selectedLineId ? ' selected' : ''}`;
+        item.addEventListener('click', () => selectLine(line.id));
+
+        const swatch = document.createElement('span');
+        swatch.className = 'swatch';
+        swatch.style.background = line.color;
+
+        const name = document.createElement('span');
+        name.className = 'name';
+        name.textContent = `Line ${line.id + 1} (${line.pixels.length}px)`;
+
+        const flags = document.createElement('span');
+        flags.className = 'flags';
+        flags.textContent = (line.settings.muted ? 'M' : '') + (line.settings.solo ? 'S' : '');
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.textContent = '\u00d7';
+        deleteBtn.title = 'Delete line';
+        deleteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            removeLine(line.id);
+            recordLinesRemoved([line]);
+        });
+
+        item.append(swatch, name, flags, deleteBtn);
+        lineListEl.appendChild(item);
+    }
+
+    updateLineSettingsPanel();
+}
+
+// Line instrument choices: Default, each loaded instrument, then the synth
+function updateLineInstrumentOptions() {
+    lineInstrumentSelect.innerHTML = '';
+    lineInstrumentSelect.appendChild(new Option('Default', 'global'));
+    for (const instrument of instruments) {
+        lineInstrumentSelect.appendChild(new Option(instrument.name, instrument.id));
+    }
+    lineInstrumentSelect.appendChild(new Option('Synth', 'synth'));
+
+    updateLineSettingsPanel();
+}
+
+// Show the selected line's settings in the editor
+function updateLineSettingsPanel() {
+    const line = getSelectedLine();
+    lineSettingsEl.hidden = !line;
+    if (!line) return;
+
+    lineScaleSelect.value = line.settings.scale;
+    lineTimingSelect.value = line.settings.timing;
+    lineInstrumentSelect.value = line.settings.instrument;
+    lineTransposeInput.value = line.settings.transpose;
+    lineVolumeInput.value = Math.round(line.settings.volume * 100);
+    lineVolumeValueEl.textContent = `${lineVolumeInput.value}%`;
+    lineDirectionSelect.value = line.settings.direction;
+    lineMidiChannelInput.value = line.settings.midiChannel;
+    lineMuteToggle.checked = line.settings.muted;
+    lineSoloToggle.checked = line.settings.solo;
+}
+
+// Scan Mode
+// A playhead sweeps the grid one column (or row) per step; bright pixels in it sound together
+let scan = { running: false, position: 0, nextBeat: 0, playhead: -1, voices: [] };
+
+function updateScanMode() {
+    const isScan = playModeSelect.value === 'scan';
+    scanGroup.hidden = !isScan;
+
+    if (isScan) {
+        startScan();
     } else {
-        isDragging = false;
-        lastPlayedPixel = { x: -1, y: -1 };
-        stopAllNotes();
-        clearPianoHighlight();
+        stopScan();
+    }
+}
+
+function startScan() {
+    if (scan.running || !pixelData) return;
+
+    startTransport();
+    scan.running = true;
+    scan.nextBeat = nextGridBeat(timeToBeat(audioContext.currentTime), getAlignBeats(getStepBeats()));
+    schedulerTick();
+    setStatus('Scanning... click the grid to move the playhead.');
+}
+
+function stopScan() {
+    if (!scan.running) return;
+
+    scan.running = false;
+    scan.playhead = -1;
+    releaseScanVoices(audioContext.currentTime);
+    visualQueue = visualQueue.filter(event => event.type !== 'scan');
+    clearPianoHighlight();
+    stopTransportIfIdle();
+    redrawWithActiveLines();
+}
+
+// Jump the playhead to the column or row under the mouse
+function moveScanPlayhead(event) {
+    const { x, y } = getEventGridPosition(event);
+    const position = scanDirectionSelect.value === 'rows' ? y : x;
+    if (position < 0 || position >= getScanLength()) return;
+
+    scan.position = position;
+    startScan();
+}
+
+function getScanThreshold() {
+    return Math.max(0, Math.min(255, parseInt(scanThresholdInput.value) || 0));
+}
+
+// Playhead positions in one sweep: columns across the grid, or rows down it
+function getScanLength() {
+    return scanDirectionSelect.value === 'rows' ? gridHeight : gridWidth;
+}
+
+function getScanMaxVoices() {
+    return Math.max(1, Math.min(32, parseInt(scanMaxVoicesInput.value) || 6));
+}
+
+// Notes for one column (or row): pixels below the brightness threshold are skipped, pixels that
+// land on the same note are merged, and only the brightest few sound
+function getScanNotes(position) {
+    const rows = scanDirectionSelect.value === 'rows';
+    const threshold = getScanThreshold();
+    const byNote = new Map();
+
+    for (let i = 0; i < (rows ? gridWidth : gridHeight); i++) {
+        const x = rows ? i : position;
+        const y = rows ? position : i;
+        const pixelIndex = (y * gridWidth + x) * 4;
+        const brightness = getLuminance(pixelData[pixelIndex], pixelData[pixelIndex + 1], pixelData[pixelIndex + 2]);
+        if (brightness < threshold || !isMotionAt(x, y)) continue;
+
+        const note = getPixelNote(x, y);
+        const existing = byNote.get(note.midiNote);
+        if (!existing || brightness > existing.brightness) {
+            byNote.set(note.midiNote, { ...note, brightness });
+        }
+    }
+
+    return [...byNote.values()]
+        .sort((a, b) => b.brightness - a.brightness)
+        .slice(0, getScanMaxVoices());
+}
+
+function scheduleScanStep(when) {
+    const position = scan.position % getScanLength();
+    const notes = getScanNotes(position);
+
+    releaseScanVoices(when);
+
+    // Keep chords from getting louder than a single line
+    const voiceScale = 1 / Math.sqrt(Math.max(1, notes.length));
+    let longest = 0;
+    let allGated = true;
+    for (const note of notes) {
+        const voice = createLineVoice(audioContext, masterBus, { ...note, volume: note.volume * voiceScale }, when);
+        scan.voices.push(voice);
+
+        const length = getNoteLengthSeconds(note, getStepBeats());
+        if (length !== null) {
+            releaseVoice(voice, when + length);
+            longest = Math.max(longest, length);
+        } else {
+            allGated = false;
+        }
+    }
+    recordChordOn('scan', notes, when);
+    if (notes.length > 0 && allGated) {
+        recordNoteOff('scan', when + longest);
+    }
+
+    queueVisual({ time: when, type: 'scan', position, midiNotes: notes.map(note => note.midiNote), instruments: notes.map(note => note.instrument) });
+    scan.position = (position + 1) % getScanLength();
+}
+
+function releaseScanVoices(when) {
+    for (const voice of scan.voices) {
+        try {
+            releaseVoice(voice, when);
+        } catch (e) {
+            // Voice already stopped
+        }
+    }
+    scan.voices = [];
+    recordNoteOff('scan', when);
+}
+
+function drawScanPlayhead() {
+    if (!scan.running || scan.playhead < 0) return;
+
+    const pixelSize = getPixelSize();
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 1;
+
+    if (scanDirectionSelect.value === 'rows') {
+        ctx.fillRect(0, scan.playhead * pixelSize, canvas.width, pixelSize);
+        ctx.strokeRect(0, scan.playhead * pixelSize, canvas.width, pixelSize);
+    } else {
+        ctx.fillRect(scan.playhead * pixelSize, 0, pixelSize, canvas.height);
+        ctx.strokeRect(scan.playhead * pixelSize, 0, pixelSize, canvas.height);
+    }
+}
+
+// Pixel Painting
+// Paint mode turns the mouse into a brush on pixelData. Edits show up as they are drawn, so lines and
+// the scan play the new colors on their next step. A finished stroke becomes the image, so changing the
+// resolution rescales the painting (and preprocessing changed afterwards applies on top of it).
+let paintStroke = null;  // { tool, start, last, before } while a brush stroke is being drawn
+
+function setupPaintControls() {
+    paintToggle.addEventListener('change', updatePaintMode);
+    clearPaintingBtn.addEventListener('click', clearPainting);
+    exportPngBtn.addEventListener('click', exportPng);
+    paintColorInput.addEventListener('input', () => {
+        paintNoteSelect.value = '';
+        updatePaintPreview();
+    });
+    paintNoteSelect.addEventListener('change', () => {
+        if (paintNoteSelect.value !== '') paintNote(parseInt(paintNoteSelect.value));
+    });
+
+    // The preview and the note palette follow the mapping and scale
+    for (const control of [mappingTableEl, colorSpaceSelect, scaleSelect, rootSelect, customScaleGroup, minPitchInput, maxPitchInput]) {
+        control.addEventListener('change', () => {
+            updatePaintNoteOptions();
+            updatePaintPreview();
+        });
+    }
+
+    updatePaintNoteOptions();
+    updatePaintPreview();
+}
+
+function updatePaintMode() {
+    endPainting();
+    cancelShapeDrawing();
+    paintGroup.hidden = !paintToggle.checked;
+    paintNoteGroup.hidden = !paintToggle.checked;
+
+    if (paintToggle.checked) {
+        setStatus('Paint mode: draw on the grid. Lines keep playing what you paint.');
+    }
+}
+
+function getPaintColor() {
+    const value = parseInt(paintColorInput.value.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+function setPaintColor(r, g, b) {
+    paintColorInput.value = '#' + [r, g, b].map(c => c.toString(16).padStart(2, '0')).join('');
+    updatePaintPreview();
+}
+
+// What the paint color plays, e.g. "E4, 80%, 30% Left"
+function updatePaintPreview() {
+    const note = mapColorToNote(...getPaintColor());
+    paintPreviewEl.textContent = `${midiToNoteName(note.midiNote)}, ${Math.round(note.volume * 100)}%, ${formatPan(note.pan)}`;
+}
+
+// Palette of the notes the current scale allows within the pitch range
+function updatePaintNoteOptions() {
+    const selected = paintNoteSelect.value;
+    paintNoteSelect.innerHTML = '';
+    paintNoteSelect.appendChild(new Option('Pick a note...', ''));
+    for (const midiNote of getScaleNotes(scaleSelect.value)) {
+        paintNoteSelect.appendChild(new Option(midiToNoteName(midiNote), midiNote));
+    }
+    paintNoteSelect.value = selected;
+    if (paintNoteSelect.value !== selected) paintNoteSelect.value = '';
+}
+
+function paintNote(midiNote) {
+    const color = findColorForNote(midiNote, getPaintColor());
+    if (!color) {
+        setStatus(`No color plays ${midiToNoteName(midiNote)} under the current mapping.`);
+        return;
+    }
+    setPaintColor(...color);
+}
+
+// The color closest to `near` that plays a note. Sweeping one channel of `near` at a time is tried
+// first, which leaves the other sound parameters where they were; then sweeps across a coarse lattice
+// of colors, for color spaces where pitch follows a mix of the RGB channels.
+function findColorForNote(midiNote, near) {
+    const rawNotes = getRawNotesFor(midiNote);
+    if (rawNotes.size === 0) return null;
+
+    const levels = [0, 64, 128, 191, 255];
+    const lattice = levels.flatMap(a => levels.map(b => [a, b]));
+    const passes = [
+        [0, 1, 2].map(channel => ({ start: near, channel })),
+        [0, 1, 2].flatMap(channel => lattice.map(([a, b]) => {
+            const start = [a, b];
+            start.splice(channel, 0, 0);
+            return { start, channel };
+        }))
+    ];
+
+    for (const sweeps of passes) {
+        let best = null;
+        let bestDistance = Infinity;
+
+        for (const { start, channel } of sweeps) {
+            for (let value = 0; value < 256; value++) {
+                const color = start.slice();
+                color[channel] = value;
+                if (!rawNotes.has(getRawNote(getColorChannels(...color)))) continue;
+
+                const distance = color.reduce((sum, c, i) => sum + (c - near[i]) ** 2, 0);
+                if (distance < bestDistance) {
+                    best = color;
+                    bestDistance = distance;
+                }
+            }
+        }
+
+        if (best) return best;
+    }
+
+    return null;
+}
+
+// What a paint edit changes: the grid, the image behind it and the preprocessing settings
+function getPaintSnapshot() {
+    return {
+        data: new Uint8ClampedArray(pixelData),
+        width: gridWidth,
+        height: gridHeight,
+        image: originalImage,
+        source: imageSource,
+        preprocess: getPreprocessValues()
+    };
+}
+
+// Snapshot from before an edit, starting a blank (black) grid when there is no image yet
+function beginPaintEdit() {
+    // A live frame would paint over the edit
+    stopLive();
+
+    if (!pixelData) {
+        updateGridSize();
+        pixelData = new Uint8ClampedArray(gridWidth * gridHeight * 4);
+        for (let i = 3; i < pixelData.length; i += 4) {
+            pixelData[i] = 255;
+        }
+    }
+
+    return getPaintSnapshot();
+}
+
+// Keep the painted grid as the image and make the edit undoable. The grid already went through the
+// preprocessing, so its controls go back to their defaults rather than filtering the painting again.
+function finishPaintEdit(before, label) {
+    if (pixelData.every((value, i) => value === before.data[i])) return;
+
+    originalImage = createGridCanvas(pixelData);
+    imageSource = null;
+    resetPreprocessControls();
+    redrawWithActiveLines();
+
+    const after = getPaintSnapshot();
+    recordHistory({
+        label,
+        undo: () => restorePaintSnapshot(before),
+        redo: () => restorePaintSnapshot(after)
+    });
+}
+
+// Returns false when the grid has changed size since, and the snapshot can't be put back
+function restorePaintSnapshot(snapshot) {
+    if (snapshot.width !== gridWidth || snapshot.height !== gridHeight) {
+        setStatus(`Can't restore that painting: it was made on a ${snapshot.width}x${snapshot.height} grid and the grid is now ${gridWidth}x${gridHeight}.`);
+        return false;
+    }
+
+    stopLive();
+    setPreprocessValues(snapshot.preprocess);
+    originalImage = snapshot.image;
+    imageSource = snapshot.source;
+    pixelData = new Uint8ClampedArray(snapshot.data);
+    redrawWithActiveLines();
+    return true;
+}
+
+function startPainting(event) {
+    const point = getEventGridPosition(event);
+    if (!isInsideGrid(point.x, point.y)) return;
+
+    const tool = paintToolSelect.value;
+    if (tool === 'eyedropper') {
+        if (!pixelData) return;
+        const pixelIndex = (point.y * gridWidth + point.x) * 4;
+        setPaintColor(pixelData[pixelIndex], pixelData[pixelIndex + 1], pixelData[pixelIndex + 2]);
+        paintNoteSelect.value = '';
+        return;
+    }
+
+    paintStroke = { tool, start: point, last: point, before: beginPaintEdit() };
+    if (tool === 'fill') {
+        floodFill(point, getPaintColor());
+    } else {
+        paintPixels([point]);
+    }
+}
+
+function continuePainting(event) {
+    if (!paintStroke) return;
+
+    const point = clampToGrid(getEventGridPosition(event));
+    const { tool, start, last } = paintStroke;
+
+    if (tool === 'pencil') {
+        paintPixels(getLinePixels(last.x, last.y, point.x, point.y));
+    } else if (tool === 'line' || tool === 'rectangle') {
+        // Shapes are redrawn from the grid as it was when the stroke started
+        pixelData.set(paintStroke.before.data);
+        paintPixels(tool === 'line' ? getLinePixels(start.x, start.y, point.x, point.y) :
+            getRectanglePixels(start, point, paintFilledToggle.checked));
+    }
+    paintStroke.last = point;
+}
+
+function endPainting() {
+    if (!paintStroke) return;
+
+    const { before } = paintStroke;
+    paintStroke = null;
+    finishPaintEdit(before, 'painting');
+}
+
+function paintPixels(points) {
+    const color = getPaintColor();
+    for (const { x, y } of points) {
+        if (!isInsideGrid(x, y)) continue;
+        pixelData.set(color, (y * gridWidth + x) * 4);
+    }
+    redrawWithActiveLines();
+}
+
+function getRectanglePixels(start, end, filled) {
+    const [left, right] = [Math.min(start.x, end.x), Math.max(start.x, end.x)];
+    const [top, bottom] = [Math.min(start.y, end.y), Math.max(start.y, end.y)];
+    const pixels = [];
+
+    for (let y = top; y <= bottom; y++) {
+        for (let x = left; x <= right; x++) {
+            if (filled || x === left || x === right || y === top || y === bottom) {
+                pixels.push({ x, y });
+            }
+        }
+    }
+
+    return pixels;
+}
+
+// Fill the area of cells sharing the start cell's color (4-connected)
+function floodFill(start, color) {
+    const startIndex = (start.y * gridWidth + start.x) * 4;
+    const target = pixelData.slice(startIndex, startIndex + 3);
+    if (target.every((value, i) => value === color[i])) return;
+
+    const matches = (x, y) => {
+        const pixelIndex = (y * gridWidth + x) * 4;
+        return target.every((value, i) => pixelData[pixelIndex + i] === value);
+    };
+    const stack = [start];
+
+    while (stack.length > 0) {
+        const { x, y } = stack.pop();
+        if (!isInsideGrid(x, y) || !matches(x, y)) continue;
+
+        pixelData.set(color, (y * gridWidth + x) * 4);
+        stack.push({ x: x + 1, y }, { x: x - 1, y }, { x, y: y + 1 }, { x, y: y - 1 });
+    }
+
+    redrawWithActiveLines();
+}
+
+function clearPainting() {
+    const before = beginPaintEdit();
+    for (let i = 0; i < pixelData.length; i += 4) {
+        pixelData.set([0, 0, 0, 255], i);
+    }
+    redrawWithActiveLines();
+    finishPaintEdit(before, 'clear');
+}
+
+// Save the grid, one image pixel per cell
+function exportPng() {
+    if (!pixelData) {
+        setStatus('Load an image or paint something to export.');
+        return;
+    }
+    createGridCanvas(pixelData).toBlob(blob => downloadBlob(blob, 'pixel-player.png'), 'image/png');
+}
+
+// Effects Bus
+// Voices play into a shared master chain:
+//   input -> filter -> compressor -> destination, with reverb and delay sends taken after the filter.
+// Notes with a mapped reverb or delay send feed those effects directly as well.
+let masterBus = null;
+let reverbImpulse = null;  // { seconds, sampleRate, buffer } shared by the live bus and WAV renders
+
+function createMasterBus(ac) {
+    const bus = {
+        input: ac.createGain(),
+        filter: ac.createBiquadFilter(),
+        reverbSend: ac.createGain(),
+        convolver: ac.createConvolver(),
+        delaySend: ac.createGain(),
+        delay: ac.createDelay(4),
+        feedback: ac.createGain(),
+        compressor: ac.createDynamicsCompressor()
+    };
+
+    bus.input.connect(bus.filter);
+    bus.filter.connect(bus.compressor);
+
+    bus.filter.connect(bus.reverbSend);
+    bus.reverbSend.connect(bus.convolver);
+    bus.convolver.connect(bus.compressor);
+
+    bus.filter.connect(bus.delaySend);
+    bus.delaySend.connect(bus.delay);
+    bus.delay.connect(bus.feedback);
+    bus.feedback.connect(bus.delay);
+    bus.delay.connect(bus.compressor);
+
+    bus.compressor.connect(ac.destination);
+
+    applyEffectSettings(bus, ac);
+    bus.convolver.buffer = getReverbImpulse(ac);
+    return bus;
+}
+
+// Copy the effect controls onto a bus (the live one, or an offline render's copy)
+function applyEffectSettings(bus, ac = audioContext) {
+    const filterType = filterTypeSelect.value;
+    // An all-pass filter leaves the level of every frequency alone, which is "off" without rewiring
+    bus.filter.type = filterType === 'off' ? 'allpass' : filterType;
+    bus.filter.frequency.value = Math.max(20, Math.min(20000, parseFloat(filterCutoffInput.value) || 2000));
+    bus.filter.Q.value = Math.max(0.1, Math.min(30, parseFloat(filterQInput.value) || 1));
+
+    bus.reverbSend.gain.value = parseInt(reverbInput.value) / 100;
+    bus.delaySend.gain.value = parseInt(delayInput.value) / 100;
+    bus.feedback.gain.value = Math.max(0, Math.min(90, parseInt(delayFeedbackInput.value) || 0)) / 100;
+    bus.delay.delayTime.setValueAtTime(getStepBeats(delayTimeSelect.value) * getSecondsPerBeat(), ac.currentTime);
+
+    bus.compressor.threshold.value = Math.max(-40, Math.min(0, parseFloat(limiterThresholdInput.value) || 0));
+    bus.compressor.ratio.value = Math.max(1, Math.min(20, parseFloat(limiterRatioInput.value) || 1));
+    bus.compressor.knee.value = 6;
+    bus.compressor.attack.value = 0.003;
+    bus.compressor.release.value = 0.25;
+}
+
+function getReverbDecay() {
+    return Math.max(0.1, Math.min(10, parseFloat(reverbDecayInput.value) || 2));
+}
+
+// The impulse response for the current decay. The noise is only made again when the decay
+// changes, so a WAV render has the same reverb as live playback.
+function getReverbImpulse(ac) {
+    const seconds = getReverbDecay();
+    if (!reverbImpulse || reverbImpulse.seconds !== seconds || reverbImpulse.sampleRate !== ac.sampleRate) {
+        reverbImpulse = { seconds, sampleRate: ac.sampleRate, buffer: createImpulseResponse(ac, seconds) };
+    }
+    return reverbImpulse.buffer;
+}
 
-        // Reset timing quantization
-        if (quantizeTimer) {
-            clearTimeout(quantizeTimer);
-            quantizeTimer = null;
+// Stereo impulse response: decaying noise, different in each channel for width
+function createImpulseResponse(ac, seconds) {
+    const length = Math.ceil(seconds * ac.sampleRate);
+    const impulse = ac.createBuffer(2, length, ac.sampleRate);
+
+    for (let channel = 0; channel < 2; channel++) {
+        const data = impulse.getChannelData(channel);
+        for (let i = 0; i < length; i++) {
+            data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 3);
         }
-        lastNoteTime = 0;
-        pendingNote = null;
     }
+
+    return impulse;
 }
 
-// Line Playing Mode
-function startLineDrawing(event) {
-    const rect = canvas.getBoundingClientRect();
-    const x = Math.floor((event.clientX - rect.left) / getPixelSize());
-    const y = Math.floor((event.clientY - rect.top) / getPixelSize());
+// Per-note sends for notes whose reverb or delay amount comes from the color mapping. They feed
+// the effects past the bus's send gains, so they add to the global send levels rather than being
+// scaled by them.
+function connectNoteSends(ac, voice, bus, note) {
+    for (const [amount, send] of [[note.reverb, bus.convolver], [note.delay, bus.delay]]) {
+        if (amount === null || amount === undefined) continue;
+
+        const sendGain = ac.createGain();
+        sendGain.gain.value = amount;
+        voice.panNode.connect(sendGain);
+        sendGain.connect(send);
+    }
+}
 
-    if (x < 0 || x >= getGridSize() || y < 0 || y >= getGridSize()) return;
+function setupEffectControls() {
+    reverbInput.addEventListener('input', () => {
+        reverbValueEl.textContent = `${reverbInput.value}%`;
+        applyEffectSettings(masterBus);
+    });
+    delayInput.addEventListener('input', () => {
+        delayValueEl.textContent = `${delayInput.value}%`;
+        applyEffectSettings(masterBus);
+    });
+    reverbDecayInput.addEventListener('change', () => {
+        reverbDecayInput.value = getReverbDecay();
+        masterBus.convolver.buffer = getReverbImpulse(audioContext);
+    });
 
-    lineStart = { x, y };
-    lineEnd = { x, y };
-    isDrawingLine = true;
+    for (const control of [delayTimeSelect, delayFeedbackInput, filterTypeSelect, filterCutoffInput, filterQInput, limiterThresholdInput, limiterRatioInput]) {
+        control.addEventListener('change', () => applyEffectSettings(masterBus));
+    }
+}
 
-    redrawWithActiveLines();
-    drawLinePreview();
-    setStatus(`Drawing line... release to play (${activeLines.length} active)`);
+// Envelopes and Gate
+// Each instrument has its own ADSR envelope (times in seconds, sustain as a 0-1 level);
+// the synth's lives in its patch
+const DEFAULT_ENVELOPE = { attack: 0.005, decay: 0.1, sustain: 1, release: 0.05 };
+
+function getEnvelope(instrumentKey) {
+    const instrument = getInstrument(instrumentKey);
+    return instrument ? instrument.envelope : synthPatch.envelope;
 }
 
-function updateLineDrawing(event) {
-    if (!isDrawingLine) return;
+// Gate as a fraction of the step, or null when legato holds notes until the next one
+function getGate() {
+    return legatoToggle.checked ? null : parseInt(gateInput.value) / 100;
+}
 
-    const rect = canvas.getBoundingClientRect();
-    const x = Math.floor((event.clientX - rect.left) / getPixelSize());
-    const y = Math.floor((event.clientY - rect.top) / getPixelSize());
+// Rise to the voice's peak gain over the attack, then decay to the sustain level
+function applyEnvelope(gainParam, peak, envelope, when) {
+    gainParam.setValueAtTime(0, when);
+    gainParam.linearRampToValueAtTime(peak, when + envelope.attack);
+    gainParam.linearRampToValueAtTime(peak * envelope.sustain, when + envelope.attack + envelope.decay);
+}
+
+function setupEnvelopeControls() {
+    envelopeInstrumentSelect.addEventListener('change', updateEnvelopeInputs);
+
+    const fields = [
+        [envAttackInput, 'attack', 1000],
+        [envDecayInput, 'decay', 1000],
+        [envSustainInput, 'sustain', 100],
+        [envReleaseInput, 'release', 1000]
+    ];
+    for (const [input, key, scale] of fields) {
+        input.addEventListener('change', () => {
+            const max = key === 'sustain' ? 100 : 10000;
+            const value = Math.max(0, Math.min(max, parseFloat(input.value) || 0));
+            input.value = value;
+            getEditedEnvelope()[key] = value / scale;
+        });
+    }
+
+    gateInput.addEventListener('input', () => {
+        gateValueEl.textContent = `${gateInput.value}%`;
+    });
+    legatoToggle.addEventListener('change', () => {
+        gateInput.disabled = legatoToggle.checked;
+    });
+    gateInput.disabled = legatoToggle.checked;
+
+    updateEnvelopeInstrumentOptions();
+}
+
+function getEditedEnvelope() {
+    return getEnvelope(envelopeInstrumentSelect.value || 'synth');
+}
+
+// The envelope editor offers every loaded instrument plus the synth
+function updateEnvelopeInstrumentOptions() {
+    const current = envelopeInstrumentSelect.value;
+    envelopeInstrumentSelect.innerHTML = '';
+    for (const instrument of instruments) {
+        envelopeInstrumentSelect.appendChild(new Option(instrument.name, instrument.id));
+    }
+    envelopeInstrumentSelect.appendChild(new Option('Synth', 'synth'));
+
+    const values = [...instruments.map(instrument => String(instrument.id)), 'synth'];
+    envelopeInstrumentSelect.value = values.includes(current) ? current : values[0];
+    updateEnvelopeInputs();
+}
+
+function updateEnvelopeInputs() {
+    const envelope = getEditedEnvelope();
+    envAttackInput.value = Math.round(envelope.attack * 1000);
+    envDecayInput.value = Math.round(envelope.decay * 1000);
+    envSustainInput.value = Math.round(envelope.sustain * 100);
+    envReleaseInput.value = Math.round(envelope.release * 1000);
+}
+
+// Synth
+// The built-in instrument, used when no SoundFont is loaded or when a line (or the default)
+// picks it: detuned unison oscillators with optional FM -> filter swept by its own envelope -> amp,
+// plus an LFO on pitch, filter or amplitude. Depths and sustain levels are 0-1.
+const SYNTH_PRESETS = {
+    sine: {
+        name: 'Sine', waveform: 'sine', unison: 1, detune: 0, level: 1,
+        filter: { type: 'lowpass', cutoff: 20000, q: 0.7, amount: 0, decay: 0.2, sustain: 0 },
+        lfo: { rate: 5, depth: 0, target: 'pitch' },
+        fm: { ratio: 1, index: 0, decay: 0 },
+        envelope: { ...DEFAULT_ENVELOPE }
+    },
+    sawLead: {
+        name: 'Saw Lead', waveform: 'sawtooth', unison: 3, detune: 14, level: 0.45,
+        filter: { type: 'lowpass', cutoff: 1800, q: 4, amount: 2, decay: 0.3, sustain: 0.3 },
+        lfo: { rate: 5.5, depth: 0.15, target: 'pitch' },
+        fm: { ratio: 1, index: 0, decay: 0 },
+        envelope: { attack: 0.01, decay: 0.2, sustain: 0.8, release: 0.15 }
+    },
+    squareBass: {
+        name: 'Square Bass', waveform: 'square', unison: 1, detune: 0, level: 0.5,
+        filter: { type: 'lowpass', cutoff: 350, q: 8, amount: 3, decay: 0.2, sustain: 0 },
+        lfo: { rate: 5, depth: 0, target: 'pitch' },
+        fm: { ratio: 1, index: 0, decay: 0 },
+        envelope: { attack: 0.003, decay: 0.3, sustain: 0.6, release: 0.08 }
+    },
+    warmPad: {
+        name: 'Warm Pad', waveform: 'sawtooth', unison: 5, detune: 22, level: 0.4,
+        filter: { type: 'lowpass', cutoff: 900, q: 1, amount: 1, decay: 1.5, sustain: 0.5 },
+        lfo: { rate: 0.3, depth: 0.3, target: 'filter' },
+        fm: { ratio: 1, index: 0, decay: 0 },
+        envelope: { attack: 0.6, decay: 1, sustain: 0.8, release: 1.2 }
+    },
+    pluck: {
+        name: 'Pluck', waveform: 'triangle', unison: 2, detune: 6, level: 0.7,
+        filter: { type: 'lowpass', cutoff: 2500, q: 2, amount: 2, decay: 0.15, sustain: 0 },
+        lfo: { rate: 5, depth: 0, target: 'pitch' },
+        fm: { ratio: 1, index: 0, decay: 0 },
+        envelope: { attack: 0.002, decay: 0.4, sustain: 0, release: 0.2 }
+    },
+    fmBell: {
+        name: 'FM Bell', waveform: 'sine', unison: 1, detune: 0, level: 0.8,
+        filter: { type: 'lowpass', cutoff: 20000, q: 0.7, amount: 0, decay: 0.2, sustain: 0 },
+        lfo: { rate: 5, depth: 0, target: 'pitch' },
+        fm: { ratio: 3.5, index: 6, decay: 1.5 },
+        envelope: { attack: 0.002, decay: 2, sustain: 0, release: 1 }
+    },
+    fmPiano: {
+        name: 'FM Electric Piano', waveform: 'sine', unison: 1, detune: 0, level: 0.8,
+        filter: { type: 'lowpass', cutoff: 20000, q: 0.7, amount: 0, decay: 0.2, sustain: 0 },
+        lfo: { rate: 4, depth: 0.2, target: 'amp' },
+        fm: { ratio: 1, index: 3, decay: 0.6 },
+        envelope: { attack: 0.003, decay: 1.5, sustain: 0.3, release: 0.3 }
+    }
+};
 
-    // Clamp to grid bounds
-    lineEnd = {
-        x: Math.max(0, Math.min(getGridSize() - 1, x)),
-        y: Math.max(0, Math.min(getGridSize() - 1, y))
+let synthPatch = createSynthPatch('sine');
+
+// Copy of a preset, so editing the patch leaves the preset alone
+function createSynthPatch(presetName) {
+    const preset = SYNTH_PRESETS[presetName];
+    return {
+        preset: presetName,
+        waveform: preset.waveform,
+        unison: preset.unison,
+        detune: preset.detune,
+        level: preset.level,
+        filter: { ...preset.filter },
+        lfo: { ...preset.lfo },
+        fm: { ...preset.fm },
+        envelope: { ...preset.envelope }
     };
+}
 
-    redrawWithActiveLines();
-    drawLinePreview();
+// Synth controls: [input, patch section (null for top-level), key, input units per patch unit]
+function getSynthFields() {
+    return [
+        [synthUnisonInput, null, 'unison', 1],
+        [synthDetuneInput, null, 'detune', 1],
+        [synthCutoffInput, 'filter', 'cutoff', 1],
+        [synthQInput, 'filter', 'q', 1],
+        [synthFilterAmountInput, 'filter', 'amount', 1],
+        [synthFilterDecayInput, 'filter', 'decay', 1000],
+        [synthFilterSustainInput, 'filter', 'sustain', 100],
+        [synthLfoRateInput, 'lfo', 'rate', 1],
+        [synthLfoDepthInput, 'lfo', 'depth', 100],
+        [synthFmRatioInput, 'fm', 'ratio', 1],
+        [synthFmIndexInput, 'fm', 'index', 1],
+        [synthFmDecayInput, 'fm', 'decay', 1000]
+    ];
 }
 
-function endLineDrawing() {
-    if (!isDrawingLine) return;
+function setupSynthControls() {
+    for (const [key, preset] of Object.entries(SYNTH_PRESETS)) {
+        synthPresetSelect.appendChild(new Option(preset.name, key));
+    }
+    synthPresetSelect.value = synthPatch.preset;
+    synthPresetSelect.addEventListener('change', () => {
+        synthPatch = createSynthPatch(synthPresetSelect.value);
+        updateSynthInputs();
+        updateEnvelopeInputs();
+    });
 
-    isDrawingLine = false;
+    synthWaveformSelect.addEventListener('change', () => {
+        synthPatch.waveform = synthWaveformSelect.value;
+    });
+    synthFilterTypeSelect.addEventListener('change', () => {
+        synthPatch.filter.type = synthFilterTypeSelect.value;
+    });
+    synthLfoTargetSelect.addEventListener('change', () => {
+        synthPatch.lfo.target = synthLfoTargetSelect.value;
+    });
 
-    if (lineStart && lineEnd) {
-        // Calculate pixels along the line
-        const pixels = getLinePixels(lineStart.x, lineStart.y, lineEnd.x, lineEnd.y);
-
-        if (pixels.length > 0) {
-            // Create a new line playback object
-            const lineId = nextLineId++;
-            const line = {
-                id: lineId,
-                pixels: pixels,
-                currentIndex: 0,
-                timer: null,
-                color: getRandomLineColor()
-            };
+    for (const [input, section, key, scale] of getSynthFields()) {
+        input.addEventListener('change', () => {
+            const min = parseFloat(input.min);
+            const max = parseFloat(input.max);
+            const value = Math.max(min, Math.min(max, parseFloat(input.value) || 0));
+            input.value = value;
+            (section ? synthPatch[section] : synthPatch)[key] = key === 'unison' ? Math.round(value) : value / scale;
+        });
+    }
+
+    updateSynthInputs();
+}
+
+function updateSynthInputs() {
+    synthPresetSelect.value = synthPatch.preset;
+    synthWaveformSelect.value = synthPatch.waveform;
+    synthFilterTypeSelect.value = synthPatch.filter.type;
+    synthLfoTargetSelect.value = synthPatch.lfo.target;
+    for (const [input, section, key, scale] of getSynthFields()) {
+        input.value = Math.round((section ? synthPatch[section] : synthPatch)[key] * scale * 100) / 100;
+    }
+}
+
+// Sweep a filter from its cutoff up by `amount` octaves over the attack, then down to the sustain level
+function applyFilterEnvelope(frequencyParam, cutoff, patch, when) {
+    const { amount, decay, sustain } = patch.filter;
+    const nyquist = frequencyParam.maxValue || 20000;
+    frequencyParam.setValueAtTime(cutoff, when);
+    if (amount === 0) return;
 
-            activeLines.push(line);
-            startSingleLinePlayback(line);
-            updateLineStatus();
+    const sweepTo = octaves => Math.min(nyquist, cutoff * Math.pow(2, octaves));
+    frequencyParam.linearRampToValueAtTime(sweepTo(amount), when + patch.envelope.attack);
+    frequencyParam.exponentialRampToValueAtTime(sweepTo(amount * sustain), when + patch.envelope.attack + Math.max(0.001, decay));
+}
+
+// Build a line voice for a note (see mapColorToNote) on any audio context and its effects bus,
+// so offline rendering shares the live voice code
+function createLineVoice(ac, bus, note, when = 0) {
+    const { midiNote, volume, pan, cutoff = null, instrument = 'global' } = note;
+    const samples = getInstrument(instrument);
+    const zone = samples ? resolveSampleZone(samples.zones, midiNote, volumeToVelocity(volume)) : null;
+
+    // Reduced volume for polyphony
+    const voice = zone ?
+        createSampleVoice(ac, bus.input, zone, midiNote, volume * 0.3, pan, when, cutoff, samples.envelope) :
+        createSynthVoice(ac, bus.input, midiNote, volume * 0.15, pan, when, cutoff);
+    voice.instrument = instrument;
+    connectNoteSends(ac, voice, bus, note);
+    return voice;
+}
+
+// With legato, a repeated note on the same instrument is held through instead of struck again
+function isTiedNote(voice, note) {
+    return Boolean(voice) && voice.releaseTime === undefined && getGate() === null && note.length === null &&
+        voice.midiNote === note.midiNote && String(voice.instrument) === String(note.instrument);
+}
+
+function stopNoteForLine(lineId, when = audioContext.currentTime) {
+    const key = `line_${lineId}`;
+    const note = activeNotes.get(key);
+    if (note) {
+        try {
+            releaseVoice(note, when);
+        } catch (e) {
+            // Note already stopped
         }
+        activeNotes.delete(key);
     }
+    recordNoteOff(key, when);
+    sendMidiNoteOff(key, when);
+}
 
-    redrawWithActiveLines();
+function playAtPosition(event) {
+    const { x, y } = getEventGridPosition(event);
+
+    if (!isInsideGrid(x, y)) return;
+    if (x === lastPlayedPixel.x && y === lastPlayedPixel.y) return;
+
+    lastPlayedPixel = { x, y };
+
+    const pixelIndex = (y * gridWidth + x) * 4;
+    const r = pixelData[pixelIndex];
+    const g = pixelData[pixelIndex + 1];
+    const b = pixelData[pixelIndex + 2];
+
+    playColorSound(r, g, b);
+    highlightPixel(x, y);
+    updateStatus(r, g, b, x, y);
 }
 
-function getRandomLineColor() {
-    const hue = Math.random() * 360;
-    return `hsl(${hue}, 100%, 50%)`;
+function highlightPixel(x, y) {
+    redrawImage();
+
+    // Draw highlight
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x * getPixelSize(), y * getPixelSize(), getPixelSize(), getPixelSize());
 }
 
-function getLinePixels(x0, y0, x1, y1) {
-    // Bresenham's line algorithm
-    const pixels = [];
-    const dx = Math.abs(x1 - x0);
-    const dy = Math.abs(y1 - y0);
-    const sx = x0 < x1 ? 1 : -1;
-    const sy = y0 < y1 ? 1 : -1;
-    let err = dx - dy;
+// Sound Generation
+function playColorSound(r, g, b) {
+    const note = mapColorToNote(r, g, b);
+
+    // Store the pending note (will be played on the next step of the shared grid)
+    startTransport();
+    const stepBeats = getStepBeats();
+    // A step that is already scheduled can't be replaced, so move on to the one after it
+    const beat = Math.max(nextGridBeat(timeToBeat(audioContext.currentTime), stepBeats), lastDirectBeat + stepBeats);
+    pendingNote = { ...note, beat };
+    schedulerTick();
+}
 
-    let x = x0;
-    let y = y0;
+function playPendingNote(when) {
+    if (!pendingNote) return;
 
-    while (true) {
-        pixels.push({ x, y });
+    const { midiNote, volume, pan, cutoff, instrument } = pendingNote;
 
-        if (x === x1 && y === y1) break;
+    // Highlight the piano key when the note sounds
+    queueVisual({ time: when, type: 'note', midiNote, instrument });
 
-        const e2 = 2 * err;
-        if (e2 > -dy) {
-            err -= dy;
-            x += sx;
+    if (isTiedNote(activeNotes.get('direct'), pendingNote)) return;
+    stopDirectNote(when);
+
+    const samples = getInstrument(instrument);
+    if (samples && samples.zones.length > 0) {
+        playSoundfontNote(samples.zones, midiNote, volume, pan, when, cutoff, samples.envelope);
+    } else {
+        playSynthNote(midiNote, volume, pan, when, cutoff);
+    }
+    activeNotes.get('direct').instrument = instrument;
+    connectNoteSends(audioContext, activeNotes.get('direct'), masterBus, pendingNote);
+    recordNoteOn('direct', midiNote, volume, pan, when);
+
+    const length = getNoteLengthSeconds(pendingNote, getStepBeats());
+    if (length !== null) {
+        releaseVoice(activeNotes.get('direct'), when + length);
+        recordNoteOff('direct', when + length);
+    }
+}
+
+function playSoundfontNote(zones, midiNote, volume, pan, when = 0, cutoff = null, envelope = DEFAULT_ENVELOPE) {
+    const zone = resolveSampleZone(zones, midiNote, volumeToVelocity(volume));
+    if (!zone) {
+        playSynthNote(midiNote, volume, pan, when, cutoff);
+        return;
+    }
+
+    activeNotes.set('direct', createSampleVoice(audioContext, masterBus.input, zone, midiNote, volume * 0.5, pan, when, cutoff, envelope));
+}
+
+// Find the zone of an instrument that covers a note and velocity
+function findSampleZone(zones, midiNote, velocity) {
+    return zones.find(zone =>
+        midiNote >= zone.keyLo && midiNote <= zone.keyHi &&
+        velocity >= zone.velLo && velocity <= zone.velHi
+    ) || null;
+}
+
+// Pick the zone to play a note with: the zone that covers it, or else the nearest
+// loaded sample within the max stretch so sparse soundfonts still cover the whole range
+function resolveSampleZone(zones, midiNote, velocity) {
+    const exact = findSampleZone(zones, midiNote, velocity);
+    if (exact) return exact;
+
+    let nearest = null;
+    let nearestStretch = Infinity;
+    let nearestVelDistance = Infinity;
+
+    for (const zone of zones) {
+        const stretch = Math.abs(midiNote - zone.rootKey);
+        const velDistance = velocity < zone.velLo ? zone.velLo - velocity : Math.max(0, velocity - zone.velHi);
+
+        if (stretch < nearestStretch || (stretch === nearestStretch && velDistance < nearestVelDistance)) {
+            nearest = zone;
+            nearestStretch = stretch;
+            nearestVelDistance = velDistance;
         }
-        if (e2 < dx) {
-            err += dx;
-            y += sy;
+    }
+
+    return nearestStretch <= getMaxStretch() ? nearest : null;
+}
+
+// Buffer source for a zone, repitched from the zone's root key to the requested note
+function createSampleSource(ac, zone, midiNote) {
+    const source = ac.createBufferSource();
+    source.buffer = zone.buffer;
+
+    // Zones with the usual 100 cents per key follow the active tuning
+    const keys = zone.scaleTuning === 100 ? getTunedPitch(midiNote) - zone.rootKey : midiNote - zone.rootKey;
+    const cents = keys * zone.scaleTuning + zone.tune;
+    source.playbackRate.value = Math.pow(2, cents / 1200);
+
+    if (zone.loop) {
+        source.loop = true;
+        source.loopStart = zone.loopStart;
+        source.loopEnd = zone.loopEnd;
+    }
+
+    return source;
+}
+
+// Volume (40-100%) as a MIDI velocity for zone velocity ranges
+function volumeToVelocity(volume) {
+    return Math.max(1, Math.min(127, Math.round(volume * 127)));
+}
+
+function playSynthNote(midiNote, volume, pan, when = 0, cutoff = null) {
+    activeNotes.set('direct', createSynthVoice(audioContext, masterBus.input, midiNote, volume * 0.3, pan, when, cutoff));
+}
+
+// Voice builders: source -> [filter] -> gain -> panner -> destination (normally the effects bus), started at `when` (0 = now)
+// with the gain following the envelope
+function createSampleVoice(ac, destination, zone, midiNote, gain, pan, when = 0, cutoff = null, envelope = DEFAULT_ENVELOPE) {
+    const start = Math.max(when, ac.currentTime);
+    const source = createSampleSource(ac, zone, midiNote);
+
+    const gainNode = ac.createGain();
+    applyEnvelope(gainNode.gain, gain * zone.gain, envelope, start);
+
+    const panNode = ac.createStereoPanner();
+    panNode.pan.value = pan;
+
+    connectThroughFilter(ac, source, gainNode, cutoff);
+    gainNode.connect(panNode);
+    panNode.connect(destination);
+
+    source.start(start);
+
+    return { source, gainNode, panNode, midiNote, envelope, sustainLevel: gain * zone.gain * envelope.sustain };
+}
+
+function createSynthVoice(ac, destination, midiNote, gain, pan, when = 0, cutoff = null, patch = synthPatch) {
+    const start = Math.max(when, ac.currentTime);
+    const frequency = midiToFrequency(midiNote);
+    const { envelope, unison, fm, lfo } = patch;
+    const sources = [];
+
+    // Unison oscillators spread evenly across the detune width, mixed at constant power
+    const mix = ac.createGain();
+    mix.gain.value = 1 / Math.sqrt(unison);
+    const oscillators = [];
+    for (let i = 0; i < unison; i++) {
+        const oscillator = ac.createOscillator();
+        oscillator.type = patch.waveform;
+        oscillator.frequency.value = frequency;
+        oscillator.detune.value = unison > 1 ? (i / (unison - 1) - 0.5) * patch.detune : 0;
+        oscillator.connect(mix);
+        oscillators.push(oscillator);
+    }
+
+    // FM: one modulator drives every carrier's frequency, its index fading over the FM decay
+    if (fm.index > 0) {
+        const modulator = ac.createOscillator();
+        modulator.frequency.value = frequency * fm.ratio;
+        const deviation = ac.createGain();
+        deviation.gain.setValueAtTime(fm.index * frequency * fm.ratio, start);
+        if (fm.decay > 0) {
+            deviation.gain.setTargetAtTime(0, start, fm.decay / 3);
+        }
+        modulator.connect(deviation);
+        for (const oscillator of oscillators) {
+            deviation.connect(oscillator.frequency);
         }
+        sources.push(modulator);
     }
 
-    return pixels;
+    // A mapped cutoff takes the place of the patch's own
+    const filter = ac.createBiquadFilter();
+    filter.type = patch.filter.type;
+    filter.Q.value = patch.filter.q;
+    applyFilterEnvelope(filter.frequency, cutoff ?? patch.filter.cutoff, patch, start);
+
+    const gainNode = ac.createGain();
+    const peak = gain * patch.level;
+    applyEnvelope(gainNode.gain, peak, envelope, start);
+
+    // Tremolo sits between the filter and the envelope so releases still start from the envelope level
+    const amp = ac.createGain();
+    if (lfo.depth > 0) {
+        const lfoOscillator = ac.createOscillator();
+        lfoOscillator.frequency.value = lfo.rate;
+        const lfoDepth = ac.createGain();
+        lfoOscillator.connect(lfoDepth);
+
+        if (lfo.target === 'amp') {
+            amp.gain.value = 1 - lfo.depth / 2;
+            lfoDepth.gain.value = lfo.depth / 2;
+            lfoDepth.connect(amp.gain);
+        } else if (lfo.target === 'filter') {
+            lfoDepth.gain.value = lfo.depth * 2400;  // Up to two octaves either way
+            lfoDepth.connect(filter.detune);
+        } else {
+            lfoDepth.gain.value = lfo.depth * 100;  // Up to a semitone either way
+            for (const oscillator of oscillators) {
+                lfoDepth.connect(oscillator.detune);
+            }
+        }
+        sources.push(lfoOscillator);
+    }
+
+    const panNode = ac.createStereoPanner();
+    panNode.pan.value = pan;
+
+    mix.connect(filter);
+    filter.connect(amp);
+    amp.connect(gainNode);
+    gainNode.connect(panNode);
+    panNode.connect(destination);
+
+    sources.push(...oscillators);
+    for (const source of sources) {
+        source.start(start);
+    }
+
+    return { sources, gainNode, panNode, midiNote, envelope, sustainLevel: peak * envelope.sustain };
 }
 
-function drawLinePreview() {
-    if (!lineStart || !lineEnd) return;
+// Connect a voice's source to its gain, through a lowpass filter when a cutoff is mapped
+function connectThroughFilter(ac, source, gainNode, cutoff) {
+    if (cutoff === null) {
+        source.connect(gainNode);
+        return;
+    }
 
-    // Draw the line being drawn
-    ctx.strokeStyle = '#ff0';
-    ctx.lineWidth = 3;
-    ctx.beginPath();
-    ctx.moveTo(lineStart.x * getPixelSize() + getPixelSize() / 2, lineStart.y * getPixelSize() + getPixelSize() / 2);
-    ctx.lineTo(lineEnd.x * getPixelSize() + getPixelSize() / 2, lineEnd.y * getPixelSize() + getPixelSize() / 2);
-    ctx.stroke();
+    const filter = ac.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = cutoff;
+    source.connect(filter);
+    filter.connect(gainNode);
+}
 
-    // Draw start point
-    ctx.fillStyle = '#0f0';
-    ctx.beginPath();
-    ctx.arc(lineStart.x * getPixelSize() + getPixelSize() / 2, lineStart.y * getPixelSize() + getPixelSize() / 2, 6, 0, Math.PI * 2);
-    ctx.fill();
+// Fade a voice out from `when` (over its envelope's release unless fadeTime is given) and stop it
+function releaseVoice(voice, when, fadeTime = voice.envelope.release) {
+    // A voice whose gate already ended is released; don't bring it back for a later stop
+    if (voice.releaseTime !== undefined && voice.releaseTime <= when) return;
+    voice.releaseTime = when;
 
-    // Draw end point
-    ctx.fillStyle = '#f00';
-    ctx.beginPath();
-    ctx.arc(lineEnd.x * getPixelSize() + getPixelSize() / 2, lineEnd.y * getPixelSize() + getPixelSize() / 2, 6, 0, Math.PI * 2);
-    ctx.fill();
+    // Hold whatever level the envelope has reached, then ramp down from there
+    const gain = voice.gainNode.gain;
+    if (gain.cancelAndHoldAtTime) {
+        gain.cancelAndHoldAtTime(when);
+    } else {
+        gain.cancelScheduledValues(when);
+        gain.setValueAtTime(voice.sustainLevel, when);
+    }
+    gain.linearRampToValueAtTime(0, when + fadeTime);
+    for (const source of voice.sources || [voice.source]) {
+        source.stop(when + fadeTime);
+    }
+}
+
+function stopDirectNote(when = audioContext.currentTime) {
+    const note = activeNotes.get('direct');
+    if (note) {
+        try {
+            releaseVoice(note, when);
+        } catch (e) {
+            // Note already stopped
+        }
+        activeNotes.delete('direct');
+    }
+    recordNoteOff('direct', when);
+}
+
+function stopAllNotes() {
+    // Held piano keys also end their recorded notes and let go of their keys on screen
+    for (const key of [...activeNotes.keys()]) {
+        if (key.startsWith('piano_')) releasePianoKey(parseInt(key.slice(6)));
+    }
+
+    const now = audioContext.currentTime;
+    for (const [key, note] of activeNotes) {
+        recordNoteOff(key, now);
+        sendMidiNoteOff(key, now);
+        try {
+            releaseVoice(note, now);
+        } catch (e) {
+            // Note already stopped
+        }
+    }
+    activeNotes.clear();
+}
+
+// MIDI Recording
+function toggleMidiRecording() {
+    if (isRecording) {
+        stopMidiRecording();
+    } else {
+        startMidiRecording();
+    }
+}
+
+function startMidiRecording() {
+    recordedTracks = new Map();
+    recordStartTime = audioContext.currentTime;
+    isRecording = true;
+    recordedTempos = [{ time: 0, bpm }];
+
+    recordMidiBtn.textContent = 'Stop';
+    recordMidiBtn.classList.add('recording');
+    exportMidiBtn.disabled = true;
+    setStatus('Recording MIDI... play or draw lines, then click Stop.');
+}
+
+function stopMidiRecording() {
+    if (!isRecording) return;
+
+    // Close any notes still sounding
+    for (const trackKey of recordedTracks.keys()) {
+        recordNoteOff(trackKey);
+    }
+    isRecording = false;
+
+    let noteCount = 0;
+    for (const track of recordedTracks.values()) {
+        noteCount += track.events.filter(event => (event.data[0] & 0xF0) === 0x90).length;
+    }
+
+    recordMidiBtn.textContent = 'Record';
+    recordMidiBtn.classList.remove('recording');
+    exportMidiBtn.disabled = noteCount === 0;
+    setStatus(noteCount > 0
+        ? `Recorded ${noteCount} notes on ${recordedTracks.size} track(s). Click "Export .mid" to save.`
+        : 'Nothing was recorded.');
+}
+
+// Each line (and direct play and scan mode) gets its own track and MIDI channel
+function getRecordedTrack(trackKey) {
+    let track = recordedTracks.get(trackKey);
+    if (!track) {
+        // Skip channel 10 (index 9), which General MIDI reserves for drums
+        const index = recordedTracks.size;
+        const channel = (index < 9 ? index : index + 1) % 16;
+        const names = { direct: 'Direct', scan: 'Scan', piano: 'Piano' };
+        const name = names[trackKey] || `Line ${parseInt(trackKey.slice(5)) + 1}`;
+
+        track = { name, channel, events: [], soundingNotes: [], noteOnTime: 0 };
+        recordedTracks.set(trackKey, track);
+    }
+    return track;
+}
+
+function recordNoteOn(trackKey, midiNote, volume, pan, time = audioContext.currentTime) {
+    if (!isRecording) return;
+
+    // Tracks are monophonic like their voices: a new note ends the previous one
+    recordNoteOff(trackKey, time);
+
+    const track = getRecordedTrack(trackKey);
+    const seconds = time - recordStartTime;
+    track.events.push({ time: seconds, data: [0xB0 | track.channel, 10, getPanControllerValue(pan)] });
+    track.events.push({ time: seconds, data: [0x90 | track.channel, midiNote, volumeToVelocity(volume)] });
+    track.soundingNotes = [midiNote];
+    track.noteOnTime = seconds;
+}
+
+// Pan (-1 to 1) as a CC10 value, 64 being center
+function getPanControllerValue(pan) {
+    return Math.max(0, Math.min(127, Math.round((pan + 1) / 2 * 127)));
+}
+
+// Several notes starting together on one track. Voices in a chord have their own pans,
+// which one channel's CC10 can't express, so no pan is recorded for them.
+function recordChordOn(trackKey, notes, time = audioContext.currentTime) {
+    if (!isRecording || notes.length === 0) return;
+
+    recordNoteOff(trackKey, time);
+
+    const track = getRecordedTrack(trackKey);
+    const seconds = time - recordStartTime;
+    for (const note of notes) {
+        track.events.push({ time: seconds, data: [0x90 | track.channel, note.midiNote, volumeToVelocity(note.volume)] });
+    }
+    track.soundingNotes = notes.map(note => note.midiNote);
+    track.noteOnTime = seconds;
+}
+
+// Piano keys start and end their notes one at a time on a shared track, so held notes can overlap
+function recordKeyOn(midiNote, volume, time = audioContext.currentTime) {
+    if (!isRecording) return;
+
+    const track = getRecordedTrack('piano');
+    const seconds = time - recordStartTime;
+    track.events.push({ time: seconds, data: [0x90 | track.channel, midiNote, volumeToVelocity(volume)] });
+    track.soundingNotes.push(midiNote);
+    track.noteOnTime = seconds;
+}
+
+function recordKeyOff(midiNote, time = audioContext.currentTime) {
+    const track = recordedTracks.get('piano');
+    if (!isRecording || !track || !track.soundingNotes.includes(midiNote)) return;
+
+    track.events.push({ time: time - recordStartTime, data: [0x80 | track.channel, midiNote, 0] });
+    track.soundingNotes = track.soundingNotes.filter(note => note !== midiNote);
+}
+
+function recordNoteOff(trackKey, time = audioContext.currentTime) {
+    const track = recordedTracks.get(trackKey);
+    if (!isRecording || !track || track.soundingNotes.length === 0) return;
+
+    // Notes are recorded as they are scheduled, so one may still lie ahead of a stop
+    const seconds = Math.max(time - recordStartTime, track.noteOnTime);
+    for (const midiNote of track.soundingNotes) {
+        track.events.push({ time: seconds, data: [0x80 | track.channel, midiNote, 0] });
+    }
+    track.soundingNotes = [];
 }
 
-function redrawImage() {
-    if (!pixelData) return;
+function recordTempoChange() {
+    if (!isRecording) return;
+    recordedTempos.push({ time: Math.max(0, audioContext.currentTime - recordStartTime), bpm });
+}
 
-    const tempCanvas = document.createElement('canvas');
-    tempCanvas.width = getGridSize();
-    tempCanvas.height = getGridSize();
-    const tempCtx = tempCanvas.getContext('2d');
-    const imageData = new ImageData(new Uint8ClampedArray(pixelData), getGridSize(), getGridSize());
-    tempCtx.putImageData(imageData, 0, 0);
-    ctx.imageSmoothingEnabled = false;
-    ctx.drawImage(tempCanvas, 0, 0, CANVAS_SIZE, CANVAS_SIZE);
+function exportMidiFile() {
+    stopMidiRecording();
+    if (recordedTracks.size === 0) return;
+
+    const blob = new Blob([buildMidiFile()], { type: 'audio/midi' });
+    downloadBlob(blob, 'pixel-player.mid');
 }
 
-function redrawWithActiveLines() {
-    redrawImage();
+// Build a format 1 Standard MIDI File: a tempo track followed by one track per recorded source
+function buildMidiFile() {
+    const tempos = recordedTempos.length > 0 ? recordedTempos : [{ time: 0, bpm }];
+
+    // Walk the tempo changes so ticks line up with the tempo each note was played at
+    const secondsToTicks = (seconds) => {
+        let ticks = 0;
+        for (let i = 0; i < tempos.length; i++) {
+            const segmentEnd = i + 1 < tempos.length ? Math.min(seconds, tempos[i + 1].time) : seconds;
+            if (segmentEnd <= tempos[i].time) break;
+            ticks += (segmentEnd - tempos[i].time) * (tempos[i].bpm / 60) * MIDI_PPQ;
+        }
+        return Math.max(0, Math.round(ticks));
+    };
 
-    // Draw all active lines
-    for (const line of activeLines) {
-        drawActiveLine(line);
+    const { numerator, denominator } = getTimeSignature();
+    const tempoEvents = [
+        { tick: 0, data: midiMetaEvent(0x03, textToBytes('Pixel Player')) },
+        { tick: 0, data: midiMetaEvent(0x58, [numerator, Math.log2(denominator), 24, 8]) }
+    ];
+    for (const tempo of tempos) {
+        const microsPerQuarter = Math.round(60000000 / tempo.bpm);
+        tempoEvents.push({
+            tick: secondsToTicks(tempo.time),
+            data: midiMetaEvent(0x51, [(microsPerQuarter >> 16) & 0xFF, (microsPerQuarter >> 8) & 0xFF, microsPerQuarter & 0xFF])
+        });
     }
+
+    const tracks = [encodeMidiTrack(tempoEvents)];
+
+    for (const track of recordedTracks.values()) {
+        const events = track.events.map(event => ({ tick: secondsToTicks(event.time), data: event.data }));
+        events.unshift({ tick: 0, data: midiMetaEvent(0x03, textToBytes(track.name)) });
+        tracks.push(encodeMidiTrack(events));
+    }
+
+    const header = [
+        ...textToBytes('MThd'), 0, 0, 0, 6,
+        0, 1,  // Format 1
+        (tracks.length >> 8) & 0xFF, tracks.length & 0xFF,
+        (MIDI_PPQ >> 8) & 0xFF, MIDI_PPQ & 0xFF
+    ];
+
+    return new Uint8Array([...header, ...tracks.flat()]);
 }
 
-function drawActiveLine(line) {
-    if (line.pixels.length < 2) return;
+function encodeMidiTrack(events) {
+    const bytes = [];
+    let lastTick = 0;
 
-    // Draw the full line path
-    ctx.strokeStyle = line.color;
-    ctx.lineWidth = 2;
-    ctx.globalAlpha = 0.6;
-    ctx.beginPath();
-    ctx.moveTo(line.pixels[0].x * getPixelSize() + getPixelSize() / 2, line.pixels[0].y * getPixelSize() + getPixelSize() / 2);
-    for (let i = 1; i < line.pixels.length; i++) {
-        ctx.lineTo(line.pixels[i].x * getPixelSize() + getPixelSize() / 2, line.pixels[i].y * getPixelSize() + getPixelSize() / 2);
+    // Stable sort keeps note-offs ahead of the note-ons that replace them
+    const sorted = events.map((event, index) => ({ ...event, index }))
+        .sort((a, b) => a.tick - b.tick || a.index - b.index);
+
+    for (const event of sorted) {
+        bytes.push(...encodeVariableLength(event.tick - lastTick), ...event.data);
+        lastTick = event.tick;
     }
-    ctx.stroke();
-    ctx.globalAlpha = 1.0;
+    bytes.push(...encodeVariableLength(0), ...midiMetaEvent(0x2F, []));  // End of track
+
+    const length = bytes.length;
+    return [
+        ...textToBytes('MTrk'),
+        (length >> 24) & 0xFF, (length >> 16) & 0xFF, (length >> 8) & 0xFF, length & 0xFF,
+        ...bytes
+    ];
+}
 
-    // Highlight current pixel
-    if (line.currentIndex < line.pixels.length) {
-        const pixel = line.pixels[line.currentIndex];
-        ctx.strokeStyle = '#fff';
-        ctx.lineWidth = 2;
-        ctx.strokeRect(pixel.x * getPixelSize(), pixel.y * getPixelSize(), getPixelSize(), getPixelSize());
+function midiMetaEvent(type, data) {
+    return [0xFF, type, ...encodeVariableLength(data.length), ...data];
+}
 
-        // Draw a filled circle at current position
-        ctx.fillStyle = line.color;
-        ctx.beginPath();
-        ctx.arc(pixel.x * getPixelSize() + getPixelSize() / 2, pixel.y * getPixelSize() + getPixelSize() / 2, 5, 0, Math.PI * 2);
-        ctx.fill();
+function encodeVariableLength(value) {
+    const bytes = [value & 0x7F];
+    value >>= 7;
+    while (value > 0) {
+        bytes.unshift((value & 0x7F) | 0x80);
+        value >>= 7;
     }
+    return bytes;
 }
 
-function startSingleLinePlayback(line) {
-    playLineNoteForLine(line);
+function textToBytes(text) {
+    return Array.from(new TextEncoder().encode(text));
 }
 
-function playLineNoteForLine(line) {
-    if (line.currentIndex >= line.pixels.length) {
-        // Check if we should loop
-        if (playModeSelect.value === 'lineLoop') {
-            // Reset to beginning and continue
-            line.currentIndex = 0;
-        } else {
-            // Line playback complete
-            removeLine(line.id);
-            return;
-        }
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// MIDI Output
+// Lines can also drive an external synth or DAW through a Web MIDI output port. Each note goes out as
+// note on/off on the line's own channel, with velocity from the mapped volume and CC10 from the mapped
+// pan, timed to the audio clock. MIDI clock (24 per quarter note) follows the tempo.
+const MIDI_CLOCK_PPQ = 24;
+let midiOutput = null;
+let midiOutputNotes = new Map();  // Track key ('line_<id>') -> { port, channel, midiNote, time } of a note still on
+
+function setupMidiOutput() {
+    midiOutputSelect.addEventListener('change', selectMidiOutput);
+    midiClockToggle.addEventListener('change', toggleMidiClock);
+}
+
+function selectMidiOutput() {
+    const output = midiOutputSelect.value ? midiAccess.outputs.get(midiOutputSelect.value) : null;
+    if (output === midiOutput) return;
+
+    // Leave nothing hanging on the old port
+    for (const trackKey of [...midiOutputNotes.keys()]) {
+        sendMidiNoteOff(trackKey, audioContext.currentTime);
     }
+    stopMidiClock();
 
-    const pixel = line.pixels[line.currentIndex];
-    const pixelIndex = (pixel.y * getGridSize() + pixel.x) * 4;
-    const r = pixelData[pixelIndex];
-    const g = pixelData[pixelIndex + 1];
-    const b = pixelData[pixelIndex + 2];
+    midiOutput = output || null;
+    startMidiClock();
+}
 
-    // Play the note
-    const minPitch = getMinPitch();
-    const maxPitch = getMaxPitch();
-    const pitchRange = maxPitch - minPitch;
-    const rawNote = Math.floor((r / 255) * pitchRange) + minPitch;
-    const scaleName = scaleSelect.value;
-    const midiNote = quantizeToScale(rawNote, scaleName);
-    const volume = 0.4 + (g / 255) * 0.6;
-    const pan = (b / 255) * 2 - 1;
-
-    // Play without stopping other notes (allow polyphony)
-    highlightPianoKey(midiNote);
-
-    if (Object.keys(soundfontSamples).length > 0) {
-        playSoundfontNotePolyphonic(midiNote, volume, pan, line.id);
-    } else {
-        playOscillatorNotePolyphonic(midiNote, volume, pan, line.id);
+// Web MIDI timestamps are on the performance.now() clock; notes are sent to arrive when their audio is heard
+function getMidiTimestamp(time) {
+    const latency = (audioContext.baseLatency || 0) + (audioContext.outputLatency || 0);
+    return performance.now() + Math.max(0, time - audioContext.currentTime + latency) * 1000;
+}
+
+function sendMidi(port, data, time) {
+    try {
+        port.send(data, getMidiTimestamp(time));
+    } catch (e) {
+        // Port disconnected
     }
+}
 
-    // Update display
-    redrawWithActiveLines();
+// A track plays one note at a time on a port, like its voice: a new note ends the previous one
+function sendMidiNoteOn(trackKey, channel, note, time) {
+    if (!midiOutput) return;
 
-    line.currentIndex++;
+    sendMidiNoteOff(trackKey, time);
+    const status = channel - 1;
+    sendMidi(midiOutput, [0xB0 | status, 10, getPanControllerValue(note.pan)], time);
+    sendMidi(midiOutput, [0x90 | status, note.midiNote, volumeToVelocity(note.volume)], time);
+    midiOutputNotes.set(trackKey, { port: midiOutput, channel: status, midiNote: note.midiNote, time });
+}
 
-    // Schedule next note for this line
-    line.timer = setTimeout(() => playLineNoteForLine(line), getNoteDurationMs());
+function sendMidiNoteOff(trackKey, time) {
+    const sent = midiOutputNotes.get(trackKey);
+    if (!sent) return;
+
+    // Never before the note-on, as in recordNoteOff
+    midiOutputNotes.delete(trackKey);
+    sendMidi(sent.port, [0x80 | sent.channel, sent.midiNote, 0], Math.max(time, sent.time));
 }
 
-function removeLine(lineId) {
-    const index = activeLines.findIndex(l => l.id === lineId);
-    if (index !== -1) {
-        const line = activeLines[index];
-        if (line.timer) {
-            clearTimeout(line.timer);
-        }
-        // Stop the note associated with this line
-        stopNoteForLine(lineId);
-        activeLines.splice(index, 1);
+function toggleMidiClock() {
+    if (midiClockToggle.checked) {
+        startMidiClock();
+    } else if (midiOutput && transport.running) {
+        sendMidi(midiOutput, [0xFC], audioContext.currentTime);
     }
+}
 
-    redrawWithActiveLines();
-    updateLineStatus();
+// Send Start and line the clock up with the next tick of the beat grid
+function startMidiClock() {
+    if (!midiOutput || !midiClockToggle.checked || !transport.running) return;
+
+    transport.nextClockBeat = nextGridBeat(timeToBeat(audioContext.currentTime), 1 / MIDI_CLOCK_PPQ);
+    sendMidi(midiOutput, [0xFA], beatToTime(transport.nextClockBeat));
 }
 
-function updateLineStatus() {
-    if (activeLines.length > 0) {
-        const looping = playModeSelect.value === 'lineLoop' ? ' (looping)' : '';
-        setStatus(`${activeLines.length} line(s) playing${looping}. Draw more lines to add!`);
-    } else if (pixelData) {
-        setStatus('Draw a line to play. Lines can overlap!');
-    }
+function stopMidiClock() {
+    if (!midiOutput || !midiClockToggle.checked || !transport.running) return;
+    sendMidi(midiOutput, [0xFC], audioContext.currentTime);
 }
 
-function stopAllLinePlayback() {
-    for (const line of activeLines) {
-        if (line.timer) {
-            clearTimeout(line.timer);
-        }
-        stopNoteForLine(line.id);
-    }
-    activeLines = [];
-    clearPianoHighlight();
-    redrawImage();
-    if (pixelData) {
-        setStatus('All lines stopped. Draw a new line to play!');
+function scheduleMidiClock(horizon) {
+    while (beatToTime(transport.nextClockBeat) < horizon) {
+        sendMidi(midiOutput, [0xF8], beatToTime(transport.nextClockBeat));
+        transport.nextClockBeat += 1 / MIDI_CLOCK_PPQ;
     }
 }
 
-// Polyphonic note functions (don't stop other notes)
-function playSoundfontNotePolyphonic(midiNote, volume, pan, lineId) {
-    const noteNames = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
-    const octave = Math.floor(midiNote / 12) - 1;
-    const noteName = noteNames[midiNote % 12] + octave;
+// Offline Rendering
+// Bounce the active lines to a stereo WAV through an OfflineAudioContext
+const MAX_RENDER_SECONDS = 600;  // Longer renders would need gigabytes for the buffer and the file
 
-    const buffer = soundfontSamples[noteName];
-    if (!buffer) {
-        playOscillatorNotePolyphonic(midiNote, volume, pan, lineId);
+async function renderLinesToWav() {
+    if (!pixelData || activeLines.length === 0) {
+        setStatus('Draw some lines first, then render them to WAV.');
         return;
     }
 
-    // Stop previous note for this line
-    stopNoteForLine(lineId);
+    // Held to the input's range, which typed values can go past
+    const count = Math.min(64, Math.max(1, parseInt(renderCountInput.value) || 1));
+    const unit = renderUnitSelect.value;
+    const secondsPerBeat = getSecondsPerBeat();
+    const barSeconds = getBeatsPerBar() * secondsPerBeat;
+    const releaseTail = Math.max(synthPatch.envelope.release, ...instruments.map(instrument => instrument.envelope.release));
+
+    // Lay out each line's notes from its first pixel
+    const lineNotes = activeLines.map(line => {
+        const notes = [];
+        let beat = 0;
+        let step = 0;
+
+        while (unit === 'loops' ? step < getLinePassLength(line) * count : beat * secondsPerBeat < count * barSeconds) {
+            const index = getLinePixelIndex(line, step % getLinePassLength(line));
+            notes.push({ ...getLineNote(line, index), time: applySwing(beat) * secondsPerBeat });
+            beat += getLineStepBeats(line);
+            step++;
+        }
+        return { notes, endTime: beat * secondsPerBeat, audible: isLineAudible(line), stepBeats: getLineStepBeats(line) };
+    });
 
-    const source = audioContext.createBufferSource();
-    source.buffer = buffer;
+    const endTime = unit === 'loops' ? Math.max(...lineNotes.map(line => line.endTime)) : count * barSeconds;
+    const sampleRate = audioContext.sampleRate;
+    // Leave room for the release and the effects to ring out
+    const effectsTail = (parseInt(reverbInput.value) > 0 ? getReverbDecay() : 0) + (parseInt(delayInput.value) > 0 ? 2 : 0);
+    const renderSeconds = endTime + releaseTail + effectsTail;
+    if (renderSeconds > MAX_RENDER_SECONDS) {
+        setStatus(`That render would last ${Math.round(renderSeconds)}s, longer than the ${MAX_RENDER_SECONDS}s limit. Render fewer ${unit} or raise the tempo.`);
+        return;
+    }
+    const offline = new OfflineAudioContext(2, Math.ceil(renderSeconds * sampleRate), sampleRate);
+    const offlineBus = createMasterBus(offline);
 
-    const gainNode = audioContext.createGain();
-    gainNode.gain.value = volume * 0.3;  // Reduced volume for polyphony
+    setStatus('Rendering WAV...');
+    renderWavBtn.disabled = true;
 
-    const panNode = audioContext.createStereoPanner();
-    panNode.pan.value = pan;
+    try {
+        for (const line of lineNotes.filter(line => line.audible)) {
+            // Like live playback: gated notes end early, legato notes ring until the next one
+            let held = null;
+            line.notes.forEach((note, i) => {
+                if (isTiedNote(held, note)) return;
+                if (held) {
+                    releaseVoice(held, note.time);
+                    held = null;
+                }
+
+                const voice = createLineVoice(offline, offlineBus, note, note.time);
+                const nextTime = i + 1 < line.notes.length ? line.notes[i + 1].time : Math.min(line.endTime, endTime);
+                const length = getNoteLengthSeconds(note, line.stepBeats);
+                if (length === null) {
+                    held = voice;
+                } else {
+                    releaseVoice(voice, Math.min(nextTime, note.time + length));
+                }
+            });
+            if (held) {
+                releaseVoice(held, Math.min(line.endTime, endTime));
+            }
+        }
 
-    source.connect(gainNode);
-    gainNode.connect(panNode);
-    panNode.connect(audioContext.destination);
+        const rendered = await offline.startRendering();
+        downloadBlob(encodeWav(rendered), 'pixel-player.wav');
+        setStatus(`Rendered ${endTime.toFixed(1)}s of audio from ${activeLines.length} line(s).`);
+    } catch (error) {
+        setStatus('Error rendering WAV: ' + error.message);
+    }
+
+    renderWavBtn.disabled = false;
+}
+
+// Encode an AudioBuffer as a 16-bit PCM stereo WAV file
+function encodeWav(audioBuffer) {
+    const channels = 2;
+    const length = audioBuffer.length;
+    const dataSize = length * channels * 2;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    };
 
-    source.start();
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);                                  // fmt chunk size
+    view.setUint16(20, 1, true);                                   // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, audioBuffer.sampleRate, true);
+    view.setUint32(28, audioBuffer.sampleRate * channels * 2, true);  // Byte rate
+    view.setUint16(32, channels * 2, true);                        // Block align
+    view.setUint16(34, 16, true);                                  // Bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const left = audioBuffer.getChannelData(0);
+    const right = audioBuffer.numberOfChannels > 1 ? audioBuffer.getChannelData(1) : left;
+    let offset = 44;
+    for (let i = 0; i < length; i++) {
+        for (const channel of [left, right]) {
+            const sample = Math.max(-1, Math.min(1, channel[i]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+            offset += 2;
+        }
+    }
 
-    activeNotes.set(`line_${lineId}`, { source, gainNode });
+    return new Blob([view], { type: 'audio/wav' });
 }
 
-function playOscillatorNotePolyphonic(midiNote, volume, pan, lineId) {
-    const frequency = 440 * Math.pow(2, (midiNote - 69) / 12);
+// Undo History
+// Each undoable action is recorded as a command with undo and redo functions, which go through the
+// same paths as the action itself: removeLine() for lines, the controls' own change handlers for settings
+const HISTORY_LIMIT = 100;
+let undoStack = [];
+let redoStack = [];
+let historyPaused = 0;  // While above zero (undoing, redoing, loading a session) nothing is recorded
+let historyControlValues = new Map();  // Last value of each recorded control, the "before" of its next change
+
+// Settings whose changes can be undone, with how they are named in the status bar
+function getHistoryControls() {
+    return [
+        [scaleSelect, 'scale'],
+        [rootSelect, 'root note'],
+        [minPitchInput, 'pitch range'],
+        [maxPitchInput, 'pitch range'],
+        [resolutionSelect, 'resolution'],
+        [gridWidthInput, 'grid width'],
+        [gridHeightInput, 'grid height']
+    ];
+}
 
-    // Stop previous note for this line
-    stopNoteForLine(lineId);
+// Must run before setupEventListeners: the resolution handler clears the lines, and its
+// history entry has to see them first so undoing the change can bring them back
+function setupHistory() {
+    for (const [control, name] of getHistoryControls()) {
+        historyControlValues.set(control, control.value);
+        control.addEventListener('change', () => {
+            const previous = historyControlValues.get(control);
+            const value = control.value;
+            historyControlValues.set(control, value);
+            if (previous === value) return;
+
+            const lines = [resolutionSelect, gridWidthInput, gridHeightInput].includes(control) ? activeLines.slice() : [];
+            recordHistory({
+                label: `${name} change`,
+                undo: () => {
+                    setControlValue(control, previous);
+                    lines.forEach(restoreLine);
+                },
+                redo: () => setControlValue(control, value)
+            });
+        });
+    }
 
-    const oscillator = audioContext.createOscillator();
-    oscillator.type = 'sine';
-    oscillator.frequency.value = frequency;
+    undoBtn.addEventListener('click', undo);
+    redoBtn.addEventListener('click', redo);
+    document.addEventListener('keydown', onHistoryKeyDown);
+    updateHistoryButtons();
+}
 
-    const gainNode = audioContext.createGain();
-    gainNode.gain.value = volume * 0.15;  // Reduced volume for polyphony
+function recordHistory(command) {
+    if (historyPaused > 0) return;
 
-    const panNode = audioContext.createStereoPanner();
-    panNode.pan.value = pan;
+    undoStack.push(command);
+    if (undoStack.length > HISTORY_LIMIT) {
+        undoStack.shift();
+    }
+    redoStack = [];
+    updateHistoryButtons();
+}
 
-    oscillator.connect(gainNode);
-    gainNode.connect(panNode);
-    panNode.connect(audioContext.destination);
+function clearHistory() {
+    undoStack = [];
+    redoStack = [];
+    updateHistoryButtons();
+}
 
-    oscillator.start();
+// A command whose undo or redo returns false couldn't be applied (it has set the status to say why)
+// and is dropped from the history
+function undo() {
+    const command = undoStack.pop();
+    if (!command) return;
 
-    activeNotes.set(`line_${lineId}`, { oscillator, gainNode });
+    if (runWithoutHistory(command.undo) === false) {
+        updateHistoryButtons();
+        return;
+    }
+    redoStack.push(command);
+    updateHistoryButtons();
+    setStatus(`Undid ${command.label}.`);
 }
 
-function stopNoteForLine(lineId) {
-    const key = `line_${lineId}`;
-    const note = activeNotes.get(key);
-    if (note) {
-        try {
-            if (note.oscillator) {
-                note.gainNode.gain.linearRampToValueAtTime(0, audioContext.currentTime + 0.05);
-                setTimeout(() => note.oscillator.stop(), 50);
-            }
-            if (note.source) {
-                note.gainNode.gain.linearRampToValueAtTime(0, audioContext.currentTime + 0.05);
-                setTimeout(() => note.source.stop(), 50);
-            }
-        } catch (e) {
-            // Note already stopped
-        }
-        activeNotes.delete(key);
+function redo() {
+    const command = redoStack.pop();
+    if (!command) return;
+
+    if (runWithoutHistory(command.redo) === false) {
+        updateHistoryButtons();
+        return;
     }
+    undoStack.push(command);
+    updateHistoryButtons();
+    setStatus(`Redid ${command.label}.`);
 }
 
-function playAtPosition(event) {
-    const rect = canvas.getBoundingClientRect();
-    const x = Math.floor((event.clientX - rect.left) / getPixelSize());
-    const y = Math.floor((event.clientY - rect.top) / getPixelSize());
+function runWithoutHistory(action) {
+    historyPaused++;
+    try {
+        return action();
+    } finally {
+        historyPaused--;
+    }
+}
 
-    if (x < 0 || x >= getGridSize() || y < 0 || y >= getGridSize()) return;
-    if (x === lastPlayedPixel.x && y === lastPlayedPixel.y) return;
+function updateHistoryButtons() {
+    undoBtn.disabled = undoStack.length === 0;
+    redoBtn.disabled = redoStack.length === 0;
+    undoBtn.title = undoStack.length > 0 ? `Undo ${undoStack[undoStack.length - 1].label} (Ctrl+Z)` : 'Nothing to undo';
+    redoBtn.title = redoStack.length > 0 ? `Redo ${redoStack[redoStack.length - 1].label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+}
 
-    lastPlayedPixel = { x, y };
+// Ctrl+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes (Cmd on macOS); text fields keep their own undo
+function onHistoryKeyDown(event) {
+    const key = event.key.toLowerCase();
+    if (!(event.ctrlKey || event.metaKey) || (key !== 'z' && key !== 'y')) return;
+    if (event.target.matches && event.target.matches('input[type="text"], textarea')) return;
 
-    const pixelIndex = (y * getGridSize() + x) * 4;
-    const r = pixelData[pixelIndex];
-    const g = pixelData[pixelIndex + 1];
-    const b = pixelData[pixelIndex + 2];
+    event.preventDefault();
+    if (event.shiftKey || key === 'y') {
+        redo();
+    } else {
+        undo();
+    }
+}
 
-    playColorSound(r, g, b);
-    highlightPixel(x, y);
-    updateStatus(r, g, b, x, y);
+// Set a control as if by hand, so its own handlers react to the new value
+function setControlValue(control, value) {
+    if (control.type === 'checkbox') {
+        control.checked = Boolean(value);
+    } else {
+        control.value = value;
+    }
+    control.dispatchEvent(new Event('input'));
+    control.dispatchEvent(new Event('change'));
 }
 
-function highlightPixel(x, y) {
-    // Redraw the image
-    const tempCanvas = document.createElement('canvas');
-    tempCanvas.width = getGridSize();
-    tempCanvas.height = getGridSize();
-    const tempCtx = tempCanvas.getContext('2d');
-    const imageData = new ImageData(new Uint8ClampedArray(pixelData), getGridSize(), getGridSize());
-    tempCtx.putImageData(imageData, 0, 0);
-    ctx.imageSmoothingEnabled = false;
-    ctx.drawImage(tempCanvas, 0, 0, CANVAS_SIZE, CANVAS_SIZE);
+function recordLineAdded(line) {
+    if (!line) return;
+    recordHistory({
+        label: 'new line',
+        undo: () => removeLine(line.id),
+        redo: () => restoreLine(line)
+    });
+}
 
-    // Draw highlight
-    ctx.strokeStyle = '#fff';
-    ctx.lineWidth = 2;
-    ctx.strokeRect(x * getPixelSize(), y * getPixelSize(), getPixelSize(), getPixelSize());
+function recordLinesRemoved(lines) {
+    if (lines.length === 0) return;
+    recordHistory({
+        label: lines.length === 1 ? 'line deletion' : 'Stop All',
+        undo: () => lines.forEach(restoreLine),
+        redo: () => lines.forEach(line => removeLine(line.id))
+    });
 }
 
-// Sound Generation
-function playColorSound(r, g, b) {
-    // Map RGB to sound parameters
-    // R (0-255) -> MIDI note (minPitch-maxPitch), quantized to selected scale
-    // G (0-255) -> Volume (40-100%)
-    // B (0-255) -> Pan (-1 to 1)
+// Bring back a removed line, playing from its start again
+function restoreLine(line) {
+    if (activeLines.includes(line)) return;
+
+    line.pixels = rasterizeShape(line.shape);
+    line.currentIndex = 0;
+    line.playheadIndex = -1;
+    line.ended = false;
+    line.endTime = null;
+    activeLines.push(line);
+    startSingleLinePlayback(line);
+    redrawWithActiveLines();
+    updateLineStatus();
+}
 
-    const minPitch = getMinPitch();
-    const maxPitch = getMaxPitch();
-    const pitchRange = maxPitch - minPitch;
-    const rawNote = Math.floor((r / 255) * pitchRange) + minPitch;
-    const scaleName = scaleSelect.value;
-    const midiNote = quantizeToScale(rawNote, scaleName);
-    const volume = 0.4 + (g / 255) * 0.6;  // Map to 40-100%
-    const pan = (b / 255) * 2 - 1;
+// Sessions
+// A session is the image, every control, the color mapping, tuning, synth patch, soundfonts and
+// drawn lines. It saves to a JSON file, or to a compressed URL hash that refers to the image by URL.
+const SESSION_VERSION = 1;
+const SESSION_HASH_PREFIX = '#session=';
+
+// Controls saved with a session, by key. They are restored through their own event handlers,
+// so the app reacts as if they had been set by hand.
+function getSessionControls() {
+    return {
+        minPitch: minPitchInput,
+        maxPitch: maxPitchInput,
+        maxStretch: maxStretchInput,
+        scale: scaleSelect,
+        root: rootSelect,
+        gridWidth: gridWidthInput,
+        gridHeight: gridHeightInput,
+        resolution: resolutionSelect,
+        playMode: playModeSelect,
+        drawTool: drawToolSelect,
+        scanDirection: scanDirectionSelect,
+        scanThreshold: scanThresholdInput,
+        scanMaxVoices: scanMaxVoicesInput,
+        timing: timingSelect,
+        gate: gateInput,
+        legato: legatoToggle,
+        bpm: bpmInput,
+        swing: swingInput,
+        timeSignature: timeSignatureSelect,
+        reverb: reverbInput,
+        reverbDecay: reverbDecayInput,
+        delay: delayInput,
+        delayTime: delayTimeSelect,
+        delayFeedback: delayFeedbackInput,
+        filterType: filterTypeSelect,
+        filterCutoff: filterCutoffInput,
+        filterQ: filterQInput,
+        limiterThreshold: limiterThresholdInput,
+        limiterRatio: limiterRatioInput,
+        synthDefault: synthDefaultToggle,
+        fitMode: fitModeSelect,
+        rotation: rotationSelect,
+        cropZoom: cropZoomInput,
+        cropX: cropXInput,
+        cropY: cropYInput,
+        brightness: brightnessInput,
+        contrast: contrastInput,
+        saturation: saturationInput,
+        blur: blurInput,
+        edges: edgesToggle,
+        posterize: posterizeInput,
+        palette: paletteSelect,
+        paletteColors: paletteColorsInput
+    };
+}
 
-    // Store the pending note (will be played on next quantized beat)
-    pendingNote = { midiNote, volume, pan };
+// Snapshot of the session. Files can embed an image that didn't come from a URL; links can't.
+// A line's instrument is saved as its position in the soundfont list, since ids aren't kept.
+function getSessionState(embedImage = false) {
+    const controls = {};
+    for (const [key, control] of Object.entries(getSessionControls())) {
+        controls[key] = control.type === 'checkbox' ? control.checked : control.value;
+    }
 
-    // Schedule the note to play on the next 16th note boundary
-    scheduleQuantizedNote();
+    const soundfonts = instruments.filter(instrument => instrument.url);
+    const linkedImage = imageSource && !imageSource.startsWith('data:') ? imageSource : null;
+
+    return {
+        version: SESSION_VERSION,
+        image: linkedImage || (embedImage ? getImageDataUrl() : null),
+        controls,
+        customScale: scales.custom,
+        tuning,
+        colorMapping,
+        synth: synthPatch,
+        soundfonts: soundfonts.map(instrument => ({ url: instrument.url, presetIndex: instrument.presetIndex, envelope: instrument.envelope })),
+        lines: activeLines.filter(line => line.shape).map(line => {
+            const index = soundfonts.findIndex(instrument => String(instrument.id) === String(line.settings.instrument));
+            return {
+                shape: { type: line.shape.type, points: line.shape.points },
+                color: line.color,
+                settings: { ...line.settings, instrument: index >= 0 ? index : line.settings.instrument === 'synth' ? 'synth' : 'global' }
+            };
+        })
+    };
 }
 
-function scheduleQuantizedNote() {
-    const now = Date.now();
-    const noteDuration = getNoteDurationMs();
+// The loaded image as a PNG data URL, or null when there is none
+function getImageDataUrl() {
+    if (!originalImage) return null;
 
-    // If this is the first note, start the timing grid now
-    if (lastNoteTime === 0) {
-        lastNoteTime = now;
-        playPendingNote();
-        return;
+    const imageCanvas = document.createElement('canvas');
+    const { width, height } = getSourceSize(originalImage);
+    imageCanvas.width = width;
+    imageCanvas.height = height;
+    imageCanvas.getContext('2d').drawImage(originalImage, 0, 0);
+    return imageCanvas.toDataURL('image/png');
+}
+
+// Resolves to a description of each part that couldn't be restored
+async function applySession(state) {
+    if (!state || state.version !== SESSION_VERSION || !state.controls) {
+        throw new Error('Not a Pixel Player session');
     }
 
-    // Calculate time until next note beat
-    const timeSinceLastNote = now - lastNoteTime;
-    const timeUntilNextBeat = noteDuration - (timeSinceLastNote % noteDuration);
+    stopAllLinePlayback();
+    stopScan();
+    const problems = [];  // Parts of the session that didn't restore, for the status bar
 
-    // If we're very close to a beat (within 10ms), play immediately
-    if (timeUntilNextBeat < 10 || timeSinceLastNote >= noteDuration) {
-        lastNoteTime = now - (timeSinceLastNote % noteDuration);
-        playPendingNote();
-        return;
+    for (const [key, control] of Object.entries(getSessionControls())) {
+        if (key in state.controls) {
+            setControlValue(control, state.controls[key]);
+        }
     }
 
-    // Clear any existing timer
-    if (quantizeTimer) {
-        clearTimeout(quantizeTimer);
+    if (Array.isArray(state.customScale)) {
+        scales.custom = state.customScale;
+        customScaleGroup.querySelectorAll('input').forEach((toggle, interval) => {
+            toggle.checked = scales.custom.includes(interval);
+        });
+    }
+    updateScaleControls();
+    tuning = state.tuning || null;
+    updateTuningInfo();
+
+    if (state.colorMapping) {
+        colorMapping.space = state.colorMapping.space;
+        // The mapping table's handlers hold on to the assignment objects, so update them in place
+        for (const [target, assignment] of Object.entries(colorMapping.assignments)) {
+            Object.assign(assignment, state.colorMapping.assignments[target]);
+        }
+        updateMappingTable();
     }
 
-    // Schedule the note to play on the next beat
-    quantizeTimer = setTimeout(() => {
-        lastNoteTime += noteDuration * Math.ceil(timeSinceLastNote / noteDuration);
-        playPendingNote();
-    }, timeUntilNextBeat);
-}
+    if (state.synth && SYNTH_PRESETS[state.synth.preset]) {
+        synthPatch = { ...createSynthPatch(state.synth.preset), ...state.synth };
+        updateSynthInputs();
+    }
 
-function playPendingNote() {
-    if (!pendingNote) return;
+    const savedSoundfonts = state.soundfonts || [];
+    const soundfonts = await restoreSoundfonts(savedSoundfonts);
+    updateEnvelopeInputs();
+    savedSoundfonts.forEach((entry, i) => {
+        if (!soundfonts[i]) problems.push(`SoundFont ${entry.url}`);
+    });
 
-    const { midiNote, volume, pan } = pendingNote;
+    if (state.image && !await loadImageFromUrl(state.image)) {
+        problems.push('the image');
+    }
 
-    stopAllNotes();
+    // Lines need an image to play
+    if (!pixelData && (state.lines || []).length > 0) {
+        problems.push('the lines (there is no image to play them on)');
+    }
+    if (pixelData) {
+        for (const saved of state.lines || []) {
+            const line = addLine(saved.shape);
+            if (!line) continue;
+
+            line.color = saved.color || line.color;
+            Object.assign(line.settings, saved.settings);
+            if (typeof saved.settings.instrument === 'number') {
+                const instrument = soundfonts[saved.settings.instrument];
+                line.settings.instrument = instrument ? instrument.id : 'global';
+            }
+        }
+        renderLineList();
+        redrawWithActiveLines();
+    }
 
-    // Highlight the piano key
-    highlightPianoKey(midiNote);
+    return problems;
+}
 
-    if (Object.keys(soundfontSamples).length > 0) {
-        playSoundfontNote(midiNote, volume, pan);
+// Status after loading a session, naming whatever couldn't be restored
+function reportSessionLoaded(description, problems) {
+    if (problems.length === 0) {
+        setStatus(`Loaded ${description}.`);
     } else {
-        playOscillatorNote(midiNote, volume, pan);
+        setStatus(`Loaded ${description}, but could not restore ${problems.join(', ')}.`);
     }
 }
 
-function playSoundfontNote(midiNote, volume, pan) {
-    const noteNames = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
-    const octave = Math.floor(midiNote / 12) - 1;
-    const noteName = noteNames[midiNote % 12] + octave;
+// Load a session's soundfonts (from the library when cached) unless the same ones are already
+// loaded, and restore their presets and envelopes. Resolves to the instrument for each entry, or null.
+async function restoreSoundfonts(saved) {
+    const alreadyLoaded = saved.length === instruments.length &&
+        saved.every((entry, i) => entry.url === instruments[i].url);
+    let loaded = instruments.slice();
+
+    if (!alreadyLoaded) {
+        // A load still under way would make the session's loads be turned away; stop it first
+        if (currentLoad) {
+            const { finished } = currentLoad;
+            cancelSoundfontLoad();
+            await finished;
+        }
 
-    const buffer = soundfontSamples[noteName];
-    if (!buffer) {
-        playOscillatorNote(midiNote, volume, pan);
-        return;
+        stopAllNotes();
+        instruments = [];
+        selectedInstrumentId = null;
+        renderInstrumentList();
+
+        loaded = [];
+        for (const entry of saved) {
+            const count = instruments.length;
+            await loadSoundfont(entry.url, true);
+            loaded.push(instruments.length > count ? instruments[instruments.length - 1] : null);
+        }
     }
 
-    const source = audioContext.createBufferSource();
-    source.buffer = buffer;
-
-    const gainNode = audioContext.createGain();
-    gainNode.gain.value = volume * 0.5;
-
-    const panNode = audioContext.createStereoPanner();
-    panNode.pan.value = pan;
+    saved.forEach((entry, i) => {
+        const instrument = loaded[i];
+        if (!instrument) return;
 
-    source.connect(gainNode);
-    gainNode.connect(panNode);
-    panNode.connect(audioContext.destination);
+        if (instrument.sf2 && entry.presetIndex !== null && entry.presetIndex !== instrument.presetIndex) {
+            selectInstrument(instrument.id);
+            loadSf2Preset(entry.presetIndex);
+        }
+        Object.assign(instrument.envelope, entry.envelope);
+    });
+    populatePresetSelect();
+    renderInstrumentList();
 
-    source.start();
+    return loaded;
+}
 
-    activeNotes.set('soundfont', { source, gainNode });
+function saveSessionFile() {
+    const json = JSON.stringify(getSessionState(true), null, 2);
+    downloadBlob(new Blob([json], { type: 'application/json' }), 'pixel-player-session.json');
+    setStatus('Session saved.');
 }
 
-function playOscillatorNote(midiNote, volume, pan) {
-    const frequency = 440 * Math.pow(2, (midiNote - 69) / 12);
+async function loadSessionFile(file) {
+    setStatus('Loading session...');
+    try {
+        reportSessionLoaded(`session ${file.name}`, await applySessionWithoutHistory(JSON.parse(await file.text())));
+    } catch (error) {
+        setStatus('Error loading session: ' + error.message);
+    }
+}
 
-    const oscillator = audioContext.createOscillator();
-    oscillator.type = 'sine';
-    oscillator.frequency.value = frequency;
+// A loaded session replaces everything, so the history starts over
+async function applySessionWithoutHistory(state) {
+    historyPaused++;
+    try {
+        return await applySession(state);
+    } finally {
+        historyPaused--;
+        clearHistory();
+    }
+}
 
-    const gainNode = audioContext.createGain();
-    gainNode.gain.value = volume * 0.3;
+// Put the session in the address bar and copy the link
+async function copySessionLink() {
+    try {
+        const hash = SESSION_HASH_PREFIX + await encodeSessionHash(getSessionState());
+        history.replaceState(null, '', hash);
+        await navigator.clipboard.writeText(location.href);
+        const note = imageSource && !imageSource.startsWith('data:') ? '' : ' The image is not from a URL, so it is not included.';
+        setStatus('Session link copied.' + note);
+    } catch (error) {
+        setStatus('Error copying session link: ' + error.message);
+    }
+}
 
-    const panNode = audioContext.createStereoPanner();
-    panNode.pan.value = pan;
+async function loadSessionFromHash() {
+    if (!location.hash.startsWith(SESSION_HASH_PREFIX)) return;
 
-    oscillator.connect(gainNode);
-    gainNode.connect(panNode);
-    panNode.connect(audioContext.destination);
+    setStatus('Loading session from link...');
+    try {
+        reportSessionLoaded('session from link', await applySessionWithoutHistory(await decodeSessionHash(location.hash.slice(SESSION_HASH_PREFIX.length))));
+    } catch (error) {
+        setStatus('Error loading session link: ' + error.message);
+    }
+}
 
-    oscillator.start();
+// Session JSON, deflated and base64url encoded
+async function encodeSessionHash(state) {
+    const json = new Blob([JSON.stringify(state)]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    const bytes = new Uint8Array(await new Response(json).arrayBuffer());
 
-    activeNotes.set('oscillator', { oscillator, gainNode });
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
 }
 
-function stopAllNotes() {
-    for (const [key, note] of activeNotes) {
-        try {
-            if (note.oscillator) {
-                note.gainNode.gain.linearRampToValueAtTime(0, audioContext.currentTime + 0.1);
-                setTimeout(() => note.oscillator.stop(), 100);
-            }
-            if (note.source) {
-                note.gainNode.gain.linearRampToValueAtTime(0, audioContext.currentTime + 0.1);
-                setTimeout(() => note.source.stop(), 100);
-            }
-        } catch (e) {
-            // Note already stopped
-        }
-    }
-    activeNotes.clear();
+async function decodeSessionHash(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    const json = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return JSON.parse(await new Response(json).text());
 }
 
 function updateStatus(r, g, b, x, y) {
-    const minPitch = getMinPitch();
-    const maxPitch = getMaxPitch();
-    const pitchRange = maxPitch - minPitch;
-    const rawNote = Math.floor((r / 255) * pitchRange) + minPitch;
-    const scaleName = scaleSelect.value;
-    const midiNote = quantizeToScale(rawNote, scaleName);
-    const noteNames = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
-    const octave = Math.floor(midiNote / 12) - 1;
-    const noteName = noteNames[midiNote % 12] + octave;
-    const volume = Math.round(40 + (g / 255) * 60);
-    const pan = Math.round(((b / 255) * 2 - 1) * 100);
-    const panLabel = pan < 0 ? `${Math.abs(pan)}% Left` : pan > 0 ? `${pan}% Right` : 'Center';
+    const note = mapColorToNote(r, g, b);
+    const noteName = midiToNoteName(note.midiNote);
+    const volume = Math.round(note.volume * 100);
+
+    // Only show the extra targets when a channel drives them
+    const extras = [];
+    if (note.cutoff !== null) extras.push(`Filter: ${Math.round(note.cutoff)} Hz`);
+    if (note.length !== null) extras.push(`Length: ${Math.round(note.length * 100)}%`);
+    if (instruments.length > 1 || note.instrument !== 'global') extras.push(`Instrument: ${getInstrumentName(note.instrument)}`);
+
+    // Built from nodes rather than HTML, since instrument names come from the loaded files
+    const strong = text => {
+        const element = document.createElement('strong');
+        element.textContent = text;
+        return element;
+    };
 
     statusEl.className = 'status playing';
-    statusEl.innerHTML = `
-        <strong>Pixel (${x}, ${y})</strong> |
-        RGB(${r}, ${g}, ${b}) |
-        Note: <strong>${noteName}</strong> |
-        Volume: ${volume}% |
-        Pan: ${panLabel}
-    `;
+    statusEl.replaceChildren(
+        strong(`Pixel (${x}, ${y})`),
+        ` | ${formatColor(r, g, b)} | Note: `,
+        strong(noteName),
+        ` | Volume: ${volume}% | Pan: ${formatPan(note.pan)}`,
+        ...extras.map(extra => ` | ${extra}`)
+    );
 }
 
 function setStatus(message) {